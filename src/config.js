@@ -22,8 +22,16 @@ export const DEFAULT_SYNC_CONFIG = {
     // Advanced options
     maxConcurrentBatches: 5,
     compressionThreshold: 1024,
+    compressionEncoding: 'gzip',
     priorityLevels: ['critical', 'high', 'normal', 'low'],
-    networkTimeout: 10000
+    priorityDelays: { critical: 0, high: 1000 },
+    networkTimeout: 10000,
+    reconnectInterval: 5000,
+
+    // Retry behaviour
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    maxDeadLetters: 100
 };
 
 export const DEFAULT_CONFLICT_CONFIG = {
@@ -27,16 +27,47 @@
 // Core synchronization components
 export { SrvraEventBus } from './events/SrvraEventBus';
 export { SrvraStateManager } from './state/SrvraStateManager';
+export { SrvraVersionVector } from './state/SrvraVersionVector';
+export { SrvraJsonPatch } from './state/SrvraJsonPatch';
+export { SrvraSnapshot } from './state/SrvraSnapshot';
+export {
+    SrvraLWWRegister,
+    SrvraORSet,
+    SrvraPNCounter,
+    SrvraLWWMap,
+    SrvraSequence,
+    createCRDT
+} from './state/SrvraCRDT';
 
 // Data sync and conflict handling
 export { SrvraDataSync } from './sync/SrvraDataSync';
 export { SrvraConflictResolver } from './sync/SrvraConflictResolver';
 
+// Network transports
+export {
+    SrvraTransport,
+    SrvraHttpTransport,
+    SrvraWebSocketTransport,
+    SrvraLoopbackTransport
+} from './sync/SrvraTransport';
+export { SrvraCompressor } from './sync/SrvraCompressor';
+
+// Offline queue and storage
+export { SrvraOutbox } from './sync/SrvraOutbox';
+export {
+    SrvraMemoryStorage,
+    SrvraIndexedDBStorage,
+    SrvraLocalStorage,
+    SrvraFileStorage
+} from './storage/SrvraStorage';
+
 // Utility exports
 export { 
     SrvraEventTypes,
     SrvraStateTypes,
-    SrvraConflictTypes 
+    SrvraConflictTypes,
+    SrvraCausalityTypes,
+    SrvraCRDTTypes
 } from './types';
 
 // Configuration exports
@@ -0,0 +1,384 @@
+// /srvra-sync/src/state/SrvraCRDT.js
+
+/**
+ * SRVRA CRDT
+ * Conflict-free replicated data types for state keys
+ *
+ * Features:
+ * - Last-write-wins register and map
+ * - Observed-remove set
+ * - Positive-negative counter
+ * - Sequence and text (RGA)
+ * - Commutative, idempotent merges
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+import { SrvraCRDTTypes } from '/js/srvra-sync/src/types.js';
+
+// Orders writes by timestamp, then node id, so every replica picks the same winner
+function compareStamps(a, b) {
+    if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+    return (a.nodeId || '').localeCompare(b.nodeId || '');
+}
+
+function valueKey(value) {
+    return JSON.stringify(value);
+}
+
+/**
+ * Every CRDT exposes `value()`, `assign(plainValue)` for local writes,
+ * `merge(state)` for remote states and `toJSON()` for its serializable state.
+ */
+class SrvraLWWRegister {
+    constructor(nodeId, state = {}) {
+        this.nodeId = nodeId;
+        this.state = {
+            value: state.value,
+            timestamp: state.timestamp || 0,
+            nodeId: state.nodeId || ''
+        };
+    }
+
+    set(value) {
+        this.state = {
+            value,
+            timestamp: Math.max(Date.now(), this.state.timestamp + 1),
+            nodeId: this.nodeId
+        };
+    }
+
+    assign(value) {
+        this.set(value);
+    }
+
+    merge(state) {
+        if (compareStamps(state, this.state) > 0) {
+            this.state = {
+                value: state.value,
+                timestamp: state.timestamp,
+                nodeId: state.nodeId
+            };
+        }
+    }
+
+    value() {
+        return this.state.value;
+    }
+
+    toJSON() {
+        return { type: SrvraCRDTTypes.LWW_REGISTER, ...this.state };
+    }
+}
+
+class SrvraORSet {
+    constructor(nodeId, state = {}) {
+        this.nodeId = nodeId;
+        this.adds = { ...state.adds };
+        this.removes = new Set(state.removes || []);
+        this.counter = 0;
+    }
+
+    add(value) {
+        const tag = `${this.nodeId}:${Date.now().toString(36)}:${++this.counter}`;
+        this.adds[tag] = value;
+    }
+
+    remove(value) {
+        const key = valueKey(value);
+        Object.entries(this.adds).forEach(([tag, added]) => {
+            if (valueKey(added) === key) {
+                this.removes.add(tag);
+            }
+        });
+    }
+
+    has(value) {
+        return this.liveTags().some(([, added]) => valueKey(added) === valueKey(value));
+    }
+
+    assign(values) {
+        const next = new Set(values.map(valueKey));
+        const current = new Set(this.value().map(valueKey));
+
+        this.value().forEach(value => {
+            if (!next.has(valueKey(value))) this.remove(value);
+        });
+        values.forEach(value => {
+            if (!current.has(valueKey(value))) this.add(value);
+        });
+    }
+
+    merge(state) {
+        Object.assign(this.adds, state.adds);
+        (state.removes || []).forEach(tag => this.removes.add(tag));
+    }
+
+    // Sorted by tag so every replica lists values in the same order
+    liveTags() {
+        return Object.entries(this.adds)
+            .filter(([tag]) => !this.removes.has(tag))
+            .sort(([a], [b]) => a.localeCompare(b));
+    }
+
+    value() {
+        const seen = new Map();
+        this.liveTags().forEach(([, value]) => seen.set(valueKey(value), value));
+        return Array.from(seen.values());
+    }
+
+    toJSON() {
+        return {
+            type: SrvraCRDTTypes.OR_SET,
+            adds: { ...this.adds },
+            removes: Array.from(this.removes)
+        };
+    }
+}
+
+class SrvraPNCounter {
+    constructor(nodeId, state = {}) {
+        this.nodeId = nodeId;
+        this.increments = { ...state.increments };
+        this.decrements = { ...state.decrements };
+    }
+
+    increment(amount = 1) {
+        this.increments[this.nodeId] = (this.increments[this.nodeId] || 0) + amount;
+    }
+
+    decrement(amount = 1) {
+        this.decrements[this.nodeId] = (this.decrements[this.nodeId] || 0) + amount;
+    }
+
+    assign(target) {
+        const difference = target - this.value();
+        if (difference > 0) this.increment(difference);
+        if (difference < 0) this.decrement(-difference);
+    }
+
+    merge(state) {
+        [['increments', state.increments], ['decrements', state.decrements]].forEach(([field, counts]) => {
+            Object.entries(counts || {}).forEach(([nodeId, count]) => {
+                this[field][nodeId] = Math.max(this[field][nodeId] || 0, count);
+            });
+        });
+    }
+
+    value() {
+        const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+        return sum(this.increments) - sum(this.decrements);
+    }
+
+    toJSON() {
+        return {
+            type: SrvraCRDTTypes.PN_COUNTER,
+            increments: { ...this.increments },
+            decrements: { ...this.decrements }
+        };
+    }
+}
+
+class SrvraLWWMap {
+    constructor(nodeId, state = {}) {
+        this.nodeId = nodeId;
+        this.fields = { ...state.fields };
+    }
+
+    stamp(field) {
+        const current = this.fields[field];
+        return {
+            timestamp: Math.max(Date.now(), current ? current.timestamp + 1 : 0),
+            nodeId: this.nodeId
+        };
+    }
+
+    set(field, value) {
+        this.fields[field] = { value, deleted: false, ...this.stamp(field) };
+    }
+
+    delete(field) {
+        this.fields[field] = { value: undefined, deleted: true, ...this.stamp(field) };
+    }
+
+    assign(object) {
+        const current = this.value();
+
+        Object.entries(object).forEach(([field, value]) => {
+            if (!(field in current) || valueKey(current[field]) !== valueKey(value)) {
+                this.set(field, value);
+            }
+        });
+        Object.keys(current).forEach(field => {
+            if (!(field in object)) this.delete(field);
+        });
+    }
+
+    merge(state) {
+        Object.entries(state.fields || {}).forEach(([field, entry]) => {
+            const current = this.fields[field];
+            if (!current || compareStamps(entry, current) > 0) {
+                this.fields[field] = { ...entry };
+            }
+        });
+    }
+
+    value() {
+        return Object.entries(this.fields).reduce((object, [field, entry]) => {
+            if (!entry.deleted) object[field] = entry.value;
+            return object;
+        }, {});
+    }
+
+    toJSON() {
+        return { type: SrvraCRDTTypes.LWW_MAP, fields: { ...this.fields } };
+    }
+}
+
+/**
+ * Replicated growable array. Each element points at the element it was inserted
+ * after; siblings are ordered newest first, so concurrent inserts at the same
+ * position interleave identically on every replica. Deleted elements stay as
+ * tombstones. With `text` set the value is a string.
+ */
+class SrvraSequence {
+    constructor(nodeId, state = {}, options = {}) {
+        this.nodeId = nodeId;
+        this.text = Boolean(state.text ?? options.text);
+        this.elements = {};
+        this.clock = state.clock || 0;
+
+        Object.entries(state.elements || {}).forEach(([id, element]) => {
+            this.elements[id] = { ...element };
+        });
+    }
+
+    visibleIds() {
+        const children = new Map();
+        Object.entries(this.elements).forEach(([id, element]) => {
+            const parent = element.parent || null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(id);
+        });
+
+        children.forEach(ids => ids.sort((a, b) => {
+            const left = this.elements[a];
+            const right = this.elements[b];
+            return right.clock - left.clock || right.nodeId.localeCompare(left.nodeId);
+        }));
+
+        const order = [];
+        const stack = [...(children.get(null) || [])].reverse();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (!this.elements[id].deleted) order.push(id);
+            stack.push(...[...(children.get(id) || [])].reverse());
+        }
+        return order;
+    }
+
+    insert(index, items) {
+        const ids = this.visibleIds();
+        let parent = index > 0 ? ids[Math.min(index, ids.length) - 1] : null;
+
+        Array.from(items).forEach(value => {
+            const clock = ++this.clock;
+            const id = `${clock}@${this.nodeId}`;
+            this.elements[id] = { value, parent, clock, nodeId: this.nodeId, deleted: false };
+            parent = id;
+        });
+    }
+
+    delete(index, count = 1) {
+        this.visibleIds().slice(index, index + count).forEach(id => {
+            this.elements[id] = { ...this.elements[id], deleted: true };
+        });
+    }
+
+    assign(next) {
+        const current = this.items();
+        const target = Array.from(next);
+
+        let prefix = 0;
+        while (prefix < current.length && prefix < target.length
+            && valueKey(current[prefix]) === valueKey(target[prefix])) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < current.length - prefix && suffix < target.length - prefix
+            && valueKey(current[current.length - 1 - suffix]) === valueKey(target[target.length - 1 - suffix])) {
+            suffix++;
+        }
+
+        this.delete(prefix, current.length - prefix - suffix);
+        this.insert(prefix, target.slice(prefix, target.length - suffix));
+    }
+
+    merge(state) {
+        Object.entries(state.elements || {}).forEach(([id, element]) => {
+            const current = this.elements[id];
+            this.elements[id] = current
+                ? { ...current, deleted: current.deleted || element.deleted }
+                : { ...element };
+        });
+        this.clock = Math.max(this.clock, state.clock || 0);
+    }
+
+    items() {
+        return this.visibleIds().map(id => this.elements[id].value);
+    }
+
+    value() {
+        const items = this.items();
+        return this.text ? items.join('') : items;
+    }
+
+    toJSON() {
+        return {
+            type: this.text ? SrvraCRDTTypes.TEXT : SrvraCRDTTypes.SEQUENCE,
+            text: this.text,
+            clock: this.clock,
+            elements: { ...this.elements }
+        };
+    }
+}
+
+function createCRDT(type, nodeId, state) {
+    switch (type) {
+        case SrvraCRDTTypes.LWW_REGISTER:
+            return new SrvraLWWRegister(nodeId, state);
+        case SrvraCRDTTypes.OR_SET:
+            return new SrvraORSet(nodeId, state);
+        case SrvraCRDTTypes.PN_COUNTER:
+            return new SrvraPNCounter(nodeId, state);
+        case SrvraCRDTTypes.LWW_MAP:
+            return new SrvraLWWMap(nodeId, state);
+        case SrvraCRDTTypes.SEQUENCE:
+            return new SrvraSequence(nodeId, state);
+        case SrvraCRDTTypes.TEXT:
+            return new SrvraSequence(nodeId, state, { text: true });
+        default:
+            throw new Error(`Unknown CRDT type: ${type}`);
+    }
+}
+
+export {
+    SrvraLWWRegister,
+    SrvraORSet,
+    SrvraPNCounter,
+    SrvraLWWMap,
+    SrvraSequence,
+    createCRDT
+};
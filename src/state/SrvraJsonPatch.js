@@ -0,0 +1,378 @@
+// /srvra-sync/src/state/SrvraJsonPatch.js
+
+/**
+ * SRVRA JSON Patch
+ * RFC 6902 deltas for state values
+ *
+ * Features:
+ * - Deep diffs of nested objects and arrays
+ * - Identity-aware array diffs with moves
+ * - add, remove, replace, move, copy and test operations
+ * - All-or-nothing application
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+// Only arrays and plain objects are walked into; Dates, Maps and class instances are leaves
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+// Assigning this token swaps an object's prototype. Others such as `constructor`
+// are safe because only own properties are followed.
+const UNSAFE_TOKENS = ['__proto__'];
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Structural equality; object key order does not matter
+function isSameValue(a, b) {
+    if (a === b) return true;
+
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]));
+    }
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => hasOwn(b, key) && isSameValue(a[key], b[key]));
+    }
+
+    return false;
+}
+
+// Copies the containers a patch can change; Dates are copied, other leaves are shared
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (!isPlainObject(value)) return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = clone(value[key]);
+    });
+    return copy;
+}
+
+// Indexes into `sequence` forming its longest increasing subsequence
+function longestIncreasingSubsequence(sequence) {
+    const tails = [];
+    const previous = new Array(sequence.length);
+
+    sequence.forEach((value, index) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sequence[tails[middle]] < value) low = middle + 1;
+            else high = middle;
+        }
+        previous[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    });
+
+    const result = [];
+    for (let index = tails[tails.length - 1]; index !== undefined && index >= 0; index = previous[index]) {
+        result.unshift(index);
+    }
+    return result;
+}
+
+class SrvraJsonPatch {
+    /**
+     * Returns the operations that turn `oldValue` into `newValue`. With
+     * `options.idField`, arrays of objects are matched by that field, so
+     * reordered items become `move` operations instead of rewrites.
+     */
+    static diff(oldValue, newValue, options = {}) {
+        const operations = [];
+        SrvraJsonPatch.diffValues(oldValue, newValue, '', operations, options);
+        return operations;
+    }
+
+    /**
+     * Whether JSON can carry the value unchanged, so a patch of it means the
+     * same on the other side. Dates, Maps, undefined and the like cannot.
+     */
+    static isPatchable(value) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+        if (typeof value === 'number') return Number.isFinite(value);
+        if (Array.isArray(value)) return value.every(item => SrvraJsonPatch.isPatchable(item));
+        if (!isPlainObject(value)) return false;
+
+        return Object.keys(value).every(key => !UNSAFE_TOKENS.includes(key) && SrvraJsonPatch.isPatchable(value[key]));
+    }
+
+    static diffValues(oldValue, newValue, path, operations, options = {}) {
+        if (isSameValue(oldValue, newValue)) return;
+
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+            Object.keys(oldValue).forEach(field => {
+                if (!hasOwn(newValue, field)) {
+                    operations.push({ op: 'remove', path: `${path}/${SrvraJsonPatch.escape(field)}` });
+                }
+            });
+            Object.keys(newValue).forEach(field => {
+                const fieldPath = `${path}/${SrvraJsonPatch.escape(field)}`;
+                if (hasOwn(oldValue, field)) {
+                    SrvraJsonPatch.diffValues(oldValue[field], newValue[field], fieldPath, operations, options);
+                } else {
+                    operations.push({ op: 'add', path: fieldPath, value: clone(newValue[field]) });
+                }
+            });
+            return;
+        }
+
+        if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+            if (options.idField && SrvraJsonPatch.hasUniqueIds(oldValue, options.idField)
+                && SrvraJsonPatch.hasUniqueIds(newValue, options.idField)) {
+                SrvraJsonPatch.diffKeyedArrays(oldValue, newValue, path, operations, options);
+            } else {
+                SrvraJsonPatch.diffArrays(oldValue, newValue, path, operations, options);
+            }
+            return;
+        }
+
+        operations.push({ op: 'replace', path, value: clone(newValue) });
+    }
+
+    // Keeps the common prefix and suffix, patches the overlap in place, then removes or inserts the rest
+    static diffArrays(oldArray, newArray, path, operations, options = {}) {
+        let start = 0;
+        while (start < oldArray.length && start < newArray.length && isSameValue(oldArray[start], newArray[start])) {
+            start++;
+        }
+
+        let oldEnd = oldArray.length;
+        let newEnd = newArray.length;
+        while (oldEnd > start && newEnd > start && isSameValue(oldArray[oldEnd - 1], newArray[newEnd - 1])) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const overlap = Math.min(oldEnd - start, newEnd - start);
+        for (let i = start; i < start + overlap; i++) {
+            SrvraJsonPatch.diffValues(oldArray[i], newArray[i], `${path}/${i}`, operations, options);
+        }
+
+        // Highest index first so earlier removals do not shift later ones
+        for (let i = oldEnd - 1; i >= start + overlap; i--) {
+            operations.push({ op: 'remove', path: `${path}/${i}` });
+        }
+        for (let i = start + overlap; i < newEnd; i++) {
+            operations.push({ op: 'add', path: `${path}/${i}`, value: clone(newArray[i]) });
+        }
+    }
+
+    static hasUniqueIds(array, idField) {
+        const ids = new Set();
+        return array.every(item => {
+            if (!isPlainObject(item) || item[idField] === undefined) return false;
+
+            const id = JSON.stringify(item[idField]);
+            if (ids.has(id)) return false;
+            ids.add(id);
+            return true;
+        });
+    }
+
+    /**
+     * Removes items whose id disappeared, then walks the new order inserting and
+     * moving items. Items on the longest run already in order stay put; the
+     * others are moved once, or twice when parked at the end to unblock one that stays.
+     */
+    static diffKeyedArrays(oldArray, newArray, path, operations, options) {
+        const idOf = item => JSON.stringify(item[options.idField]);
+        const newIds = new Set(newArray.map(idOf));
+        const oldItems = new Map(oldArray.map(item => [idOf(item), item]));
+
+        for (let i = oldArray.length - 1; i >= 0; i--) {
+            if (!newIds.has(idOf(oldArray[i]))) {
+                operations.push({ op: 'remove', path: `${path}/${i}` });
+            }
+        }
+
+        const working = oldArray.map(idOf).filter(id => newIds.has(id));
+        const targetIndex = new Map(newArray.map((item, index) => [idOf(item), index]));
+        const stable = new Set(
+            longestIncreasingSubsequence(working.map(id => targetIndex.get(id))).map(index => working[index])
+        );
+
+        newArray.forEach((item, i) => {
+            const id = idOf(item);
+
+            if (!oldItems.has(id)) {
+                operations.push({ op: 'add', path: `${path}/${i}`, value: clone(item) });
+                working.splice(i, 0, id);
+                return;
+            }
+
+            if (stable.has(id)) {
+                while (working[i] !== id) {
+                    operations.push({ op: 'move', from: `${path}/${i}`, path: `${path}/-` });
+                    working.push(working.splice(i, 1)[0]);
+                }
+            } else {
+                const from = working.indexOf(id);
+                if (from !== i) {
+                    operations.push({ op: 'move', from: `${path}/${from}`, path: `${path}/${i}` });
+                    working.splice(from, 1);
+                    working.splice(i, 0, id);
+                }
+            }
+
+            SrvraJsonPatch.diffValues(oldItems.get(id), item, `${path}/${i}`, operations, options);
+        });
+    }
+
+    /**
+     * Applies operations to a copy of `document` and returns it. Throws without
+     * side effects if any operation fails.
+     */
+    static apply(document, operations) {
+        if (!Array.isArray(operations)) {
+            throw new Error('JSON Patch must be an array of operations');
+        }
+
+        return operations.reduce((current, operation) => SrvraJsonPatch.applyOperation(current, operation), clone(document));
+    }
+
+    static applyOperation(document, operation) {
+        const fail = reason => {
+            throw new Error(`JSON Patch ${operation.op} failed at "${operation.path}": ${reason}`);
+        };
+
+        if (!operation || typeof operation.path !== 'string') {
+            fail('missing path');
+        }
+
+        switch (operation.op) {
+            case 'add':
+                return SrvraJsonPatch.add(document, operation.path, clone(operation.value), fail);
+            case 'remove':
+                return SrvraJsonPatch.remove(document, operation.path, fail);
+            case 'replace':
+                return SrvraJsonPatch.add(SrvraJsonPatch.remove(document, operation.path, fail), operation.path, clone(operation.value), fail);
+            case 'move': {
+                if (operation.path.startsWith(`${operation.from}/`)) {
+                    fail('cannot move a value into itself');
+                }
+                const value = SrvraJsonPatch.get(document, operation.from, fail);
+                return SrvraJsonPatch.add(SrvraJsonPatch.remove(document, operation.from, fail), operation.path, value, fail);
+            }
+            case 'copy':
+                return SrvraJsonPatch.add(document, operation.path, clone(SrvraJsonPatch.get(document, operation.from, fail)), fail);
+            case 'test':
+                if (!isSameValue(SrvraJsonPatch.get(document, operation.path, fail), operation.value)) {
+                    fail('value does not match');
+                }
+                return document;
+            default:
+                return fail(`unknown operation ${operation.op}`);
+        }
+    }
+
+    static get(document, path, fail) {
+        return SrvraJsonPatch.parse(path).reduce((current, token) => {
+            SrvraJsonPatch.checkToken(token, fail);
+            if (Array.isArray(current)) {
+                const index = SrvraJsonPatch.toIndex(token, current.length - 1, fail);
+                return current[index];
+            }
+            if (!isPlainObject(current) || !hasOwn(current, token)) {
+                fail(`path not found`);
+            }
+            return current[token];
+        }, document);
+    }
+
+    static add(document, path, value, fail) {
+        const tokens = SrvraJsonPatch.parse(path);
+        if (tokens.length === 0) return value;
+
+        const parent = SrvraJsonPatch.get(document, SrvraJsonPatch.format(tokens.slice(0, -1)), fail);
+        const token = tokens[tokens.length - 1];
+        SrvraJsonPatch.checkToken(token, fail);
+
+        if (Array.isArray(parent)) {
+            const index = token === '-' ? parent.length : SrvraJsonPatch.toIndex(token, parent.length, fail);
+            parent.splice(index, 0, value);
+        } else if (isPlainObject(parent)) {
+            parent[token] = value;
+        } else {
+            fail('parent is not a container');
+        }
+
+        return document;
+    }
+
+    static remove(document, path, fail) {
+        const tokens = SrvraJsonPatch.parse(path);
+        if (tokens.length === 0) return undefined;
+
+        const parent = SrvraJsonPatch.get(document, SrvraJsonPatch.format(tokens.slice(0, -1)), fail);
+        const token = tokens[tokens.length - 1];
+        SrvraJsonPatch.checkToken(token, fail);
+
+        if (Array.isArray(parent)) {
+            parent.splice(SrvraJsonPatch.toIndex(token, parent.length - 1, fail), 1);
+        } else if (isPlainObject(parent) && hasOwn(parent, token)) {
+            delete parent[token];
+        } else {
+            fail('path not found');
+        }
+
+        return document;
+    }
+
+    static checkToken(token, fail) {
+        if (UNSAFE_TOKENS.includes(token)) {
+            fail(`unsafe path segment ${token}`);
+        }
+    }
+
+    static toIndex(token, max, fail) {
+        if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+            fail(`invalid array index ${token}`);
+        }
+        return Number(token);
+    }
+
+    static parse(path) {
+        if (path === '') return [];
+        if (!path.startsWith('/')) {
+            throw new Error(`Invalid JSON Pointer: ${path}`);
+        }
+        return path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    static format(tokens) {
+        return tokens.map(token => `/${SrvraJsonPatch.escape(token)}`).join('');
+    }
+
+    static escape(token) {
+        return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+}
+
+export { SrvraJsonPatch };
@@ -0,0 +1,142 @@
+// /srvra-sync/src/state/SrvraSnapshot.js
+
+/**
+ * SRVRA Snapshot
+ * Versioned, JSON-serializable snapshots of engine state
+ *
+ * Features:
+ * - Lossless encoding of Map, Set, Date, undefined and non-finite numbers
+ * - Format and kind validation on restore
+ * - Plain JSON output for storage, transfer and fixtures
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+const SNAPSHOT_FORMAT = 'srvra-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Values JSON cannot represent are written as `{ $type, ... }` records.
+ * Objects that have their own `$type` field are wrapped so they decode unchanged.
+ */
+class SrvraSnapshot {
+    static create(kind, data) {
+        return {
+            format: SNAPSHOT_FORMAT,
+            formatVersion: SNAPSHOT_VERSION,
+            kind,
+            createdAt: new Date().toISOString(),
+            data: SrvraSnapshot.encode(data)
+        };
+    }
+
+    /**
+     * Validates a snapshot (or its JSON string) and returns its decoded data.
+     */
+    static read(snapshot, kind) {
+        const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+
+        if (!isPlainObject(parsed) || parsed.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a Srvra snapshot');
+        }
+        if (parsed.kind !== kind) {
+            throw new Error(`Expected a ${kind} snapshot, got ${parsed.kind}`);
+        }
+        if (!(parsed.formatVersion <= SNAPSHOT_VERSION)) {
+            throw new Error(`Unsupported snapshot format version: ${parsed.formatVersion}`);
+        }
+
+        return SrvraSnapshot.decode(parsed.data);
+    }
+
+    static encode(value) {
+        if (value === undefined) return { $type: 'undefined' };
+
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return { $type: 'Number', value: String(value) };
+        }
+
+        if (value instanceof Date) {
+            return { $type: 'Date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+        }
+
+        if (value instanceof Map) {
+            return {
+                $type: 'Map',
+                entries: Array.from(value, ([key, entry]) => [SrvraSnapshot.encode(key), SrvraSnapshot.encode(entry)])
+            };
+        }
+
+        if (value instanceof Set) {
+            return { $type: 'Set', values: Array.from(value, entry => SrvraSnapshot.encode(entry)) };
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(entry => SrvraSnapshot.encode(entry));
+        }
+
+        if (value !== null && typeof value === 'object') {
+            const fields = {};
+            Object.entries(value).forEach(([field, entry]) => {
+                fields[field] = SrvraSnapshot.encode(entry);
+            });
+            return '$type' in value ? { $type: 'Object', value: fields } : fields;
+        }
+
+        return value;
+    }
+
+    static decode(value) {
+        if (Array.isArray(value)) {
+            return value.map(entry => SrvraSnapshot.decode(entry));
+        }
+
+        if (!isPlainObject(value)) return value;
+
+        switch (value.$type) {
+            case undefined:
+                break;
+            case 'undefined':
+                return undefined;
+            case 'Number':
+                return Number(value.value);
+            case 'Date':
+                return new Date(value.value === null ? NaN : value.value);
+            case 'Map':
+                return new Map(value.entries.map(([key, entry]) => [SrvraSnapshot.decode(key), SrvraSnapshot.decode(entry)]));
+            case 'Set':
+                return new Set(value.values.map(entry => SrvraSnapshot.decode(entry)));
+            case 'Object':
+                return SrvraSnapshot.decodeFields(value.value);
+            default:
+                throw new Error(`Unknown snapshot type: ${value.$type}`);
+        }
+
+        return SrvraSnapshot.decodeFields(value);
+    }
+
+    static decodeFields(fields) {
+        const decoded = {};
+        Object.entries(fields).forEach(([field, entry]) => {
+            decoded[field] = SrvraSnapshot.decode(entry);
+        });
+        return decoded;
+    }
+}
+
+export { SrvraSnapshot, SNAPSHOT_VERSION };
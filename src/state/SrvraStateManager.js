@@ -8,6 +8,9 @@
  * Features:
  * - Atomic state updates
  * - Version control and history
+ * - Undo, redo and time travel
+ * - Snapshot and restore
+ * - Schema migrations
  * - Conflict detection and resolution
  * - State persistence and recovery
  * - Real-time state synchronization
@@ -27,10 +30,47 @@
 
 
 
+import { SrvraVersionVector } from '/js/srvra-sync/src/state/SrvraVersionVector.js';
+import { createCRDT } from '/js/srvra-sync/src/state/SrvraCRDT.js';
+import { SrvraJsonPatch } from '/js/srvra-sync/src/state/SrvraJsonPatch.js';
+import { SrvraSnapshot } from '/js/srvra-sync/src/state/SrvraSnapshot.js';
+import {
+    SrvraMemoryStorage,
+    SrvraIndexedDBStorage,
+    SrvraLocalStorage
+} from '/js/srvra-sync/src/storage/SrvraStorage.js';
+import { SrvraCausalityTypes } from '/js/srvra-sync/src/types.js';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Dot-separated paths of the leaves that differ between two values
+function collectChangedPaths(previous, next, path = [], paths = []) {
+    if (isPlainObject(next) && (isPlainObject(previous) || path.length === 0)) {
+        const before = isPlainObject(previous) ? previous : {};
+        new Set([...Object.keys(before), ...Object.keys(next)]).forEach(field => {
+            collectChangedPaths(before[field], next[field], [...path, field], paths);
+        });
+    } else if (path.length > 0 && JSON.stringify(previous) !== JSON.stringify(next)) {
+        paths.push(path.join('.'));
+    }
+
+    return paths;
+}
+
+// Updates from these sources already reflect the server and are never dirty
+const REMOTE_SOURCES = ['merge', 'remote', 'server'];
+
+function matchesKeyList(list, key) {
+    return typeof list === 'function' ? list(key) : list.includes(key);
+}
+
 class SrvraStateManager {
     constructor(config = {}) {
         this.config = {
             historySize: config.historySize || 50,
+            undoLimit: config.undoLimit || 50,
             mergeStrategy: config.mergeStrategy || 'last-write-wins',
             enableVersioning: config.enableVersioning || true,
             autoSync: config.autoSync || true,
@@ -39,32 +79,377 @@ class SrvraStateManager {
 
         this.state = new Map();
         this.history = [];
+        this.historyStart = 0;
+        this.undoStack = [];
+        this.redoStack = [];
         this.subscribers = new Map();
         this.version = 0;
         this.pendingUpdates = new Map();
+        this.metadata = new Map();
+        this.keyVersions = new Map();
+        this.acknowledgedVersions = new Map();
+        this.vectors = new Map();
+        this.crdts = new Map();
+        this.fieldTimestamps = new Map();
+        this.conflicted = new Map();
+        this.activeTransaction = null;
+        this.nodeId = this.config.nodeId || this.generateNodeId();
+        this.persistence = this.createPersistence(this.config.persistence);
+        this.migrations = this.prepareMigrations(this.config.migrations || []);
+        this.schemaVersion = this.config.schemaVersion
+            ?? (this.persistence && this.persistence.schemaVersion)
+            ?? (this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 1);
+        this.schemaVersions = new Map();
+        this.quarantine = new Map();
+        this.persistQueue = new Set();
+        this.persistTimer = null;
+        this.persistQueuedAt = null;
+        this.persisting = Promise.resolve();
+
+        Object.entries(this.config.crdts || {}).forEach(([key, type]) => {
+            this.defineCRDT(key, type);
+        });
     }
 
     setState(key, value, options = {}) {
+        const transaction = this.activeTransaction;
+        if (transaction) {
+            this.captureKey(transaction, key);
+        }
+
         const updateId = this.generateUpdateId();
         const previousValue = this.state.get(key);
+        const previousExists = this.state.has(key);
+        const keyVersion = this.getKeyVersion(key) + 1;
+        const crdt = this.crdts.get(key);
+
+        if (options.deleted) {
+            value = undefined;
+        } else if (crdt && !options.crdtApplied) {
+            // Plain writes to a CRDT key become local CRDT operations
+            crdt.assign(value);
+            value = crdt.value();
+        }
+
+        const isRemote = REMOTE_SOURCES.includes(options.source);
+
+        // Local writes advance this node's counter; remote writes only carry theirs in
+        let vector = SrvraVersionVector.merge(this.getVector(key), options.vector);
+        if (!isRemote) {
+            vector = SrvraVersionVector.increment(vector, this.nodeId);
+        }
+
+        const timestamp = Date.now();
+        const fieldTimestamps = this.updateFieldTimestamps(key, previousValue, value, options.fieldTimestamps, timestamp);
 
         const update = {
             id: updateId,
             key,
             value,
-            version: ++this.version,
-            timestamp: Date.now(),
+            version: transaction ? transaction.version : ++this.version,
+            keyVersion,
+            vector,
+            crdt: crdt ? crdt.toJSON() : undefined,
+            fieldTimestamps,
+            patch: options.patch,
+            schemaVersion: this.schemaVersion,
+            nodeId: this.nodeId,
+            timestamp,
             metadata: options.metadata || {},
-            source: options.source || 'client'
+            source: options.source || 'client',
+            priority: options.priority || 'normal',
+            transaction: transaction ? transaction.id : undefined,
+            deleted: options.deleted ? true : undefined
         };
 
-        this.trackHistory(update, previousValue);
-        this.state.set(key, value);
-        this.notifySubscribers(key, value, update);
+        this.trackHistory(update, previousValue, previousExists);
+        this.recordUndo(transaction, update, previousValue, previousExists, options);
+        if (options.deleted) {
+            this.state.delete(key);
+        } else {
+            this.state.set(key, value);
+        }
+        this.keyVersions.set(key, keyVersion);
+        this.vectors.set(key, vector);
+        this.schemaVersions.set(key, this.schemaVersion);
+        if (isRemote) {
+            this.acknowledge(key, keyVersion);
+        }
+        this.schedulePersist(key);
+
+        // Subscribers hear about transactional writes once, on commit
+        if (transaction) {
+            transaction.updates.set(key, update);
+        } else {
+            this.notifySubscribers(key, value, update);
+        }
 
         return updateId;
     }
 
+    /**
+     * Runs `fn(stateManager)` so that its writes succeed or fail together. All
+     * writes share one version, and on commit each key's subscribers are notified
+     * once while '*' subscribers get a single update of type 'transaction'. If `fn`
+     * throws, every touched key is rolled back and the error is rethrown. `fn` must
+     * be synchronous; nested transactions join the outer one.
+     */
+    transaction(fn) {
+        if (this.activeTransaction) {
+            const outer = this.activeTransaction;
+            return {
+                transactionId: outer.id,
+                version: outer.version,
+                result: fn(this)
+            };
+        }
+
+        const transaction = {
+            id: this.generateTransactionId(),
+            version: this.version + 1,
+            snapshots: new Map(),
+            history: [...this.history],
+            historyStart: this.historyStart,
+            undoable: new Set(),
+            updates: new Map()
+        };
+
+        let result;
+        this.activeTransaction = transaction;
+        try {
+            result = fn(this);
+            if (result && typeof result.then === 'function') {
+                throw new Error('Transaction callbacks must be synchronous');
+            }
+        } catch (error) {
+            this.activeTransaction = null;
+            this.rollback(transaction);
+            throw error;
+        }
+        this.activeTransaction = null;
+
+        if (transaction.updates.size > 0) {
+            this.version = transaction.version;
+            this.pushUndoAction(transaction);
+            this.notifyTransaction(transaction);
+        }
+
+        return {
+            transactionId: transaction.id,
+            version: this.version,
+            keys: Array.from(transaction.updates.keys()),
+            result
+        };
+    }
+
+    // Remembers everything setState touches for a key, before its first write in the transaction
+    captureKey(transaction, key) {
+        if (transaction.snapshots.has(key)) return;
+
+        const crdt = this.crdts.get(key);
+        transaction.snapshots.set(key, {
+            exists: this.state.has(key),
+            value: this.state.get(key),
+            keyVersion: this.keyVersions.get(key),
+            acknowledgedVersion: this.acknowledgedVersions.get(key),
+            vector: this.vectors.get(key),
+            fieldTimestamps: this.fieldTimestamps.get(key),
+            schemaVersion: this.schemaVersions.get(key),
+            crdt: crdt ? crdt.toJSON() : undefined
+        });
+    }
+
+    rollback(transaction) {
+        const restore = (map, key, value, exists = value !== undefined) => {
+            if (exists) map.set(key, value);
+            else map.delete(key);
+        };
+
+        transaction.snapshots.forEach((snapshot, key) => {
+            restore(this.state, key, snapshot.value, snapshot.exists);
+            restore(this.keyVersions, key, snapshot.keyVersion);
+            restore(this.acknowledgedVersions, key, snapshot.acknowledgedVersion);
+            restore(this.vectors, key, snapshot.vector);
+            restore(this.fieldTimestamps, key, snapshot.fieldTimestamps);
+            restore(this.schemaVersions, key, snapshot.schemaVersion);
+
+            if (snapshot.crdt) {
+                this.crdts.set(key, createCRDT(snapshot.crdt.type, this.nodeId, snapshot.crdt));
+            }
+        });
+
+        this.history = transaction.history;
+        this.historyStart = transaction.historyStart;
+    }
+
+    /**
+     * Removes a key. The deletion is versioned and synced like a write, with
+     * `deleted: true` on the update.
+     */
+    deleteState(key, options = {}) {
+        return this.setState(key, undefined, { ...options, deleted: true });
+    }
+
+    /**
+     * Local writes are undoable; remote writes and undo/redo steps are not.
+     * Writes inside a transaction become one action when it commits.
+     */
+    recordUndo(transaction, update, previousValue, previousExists, options) {
+        if (update.source !== 'client' || options.historyAction) return;
+
+        if (transaction) {
+            transaction.undoable.add(update.key);
+            return;
+        }
+
+        this.pushUndo({
+            id: update.id,
+            version: update.version,
+            entries: [{
+                key: update.key,
+                previousValue,
+                previousExists,
+                value: update.value,
+                exists: !update.deleted
+            }]
+        });
+    }
+
+    pushUndoAction(transaction) {
+        if (transaction.undoable.size === 0) return;
+
+        this.pushUndo({
+            id: transaction.id,
+            version: transaction.version,
+            transaction: transaction.id,
+            entries: Array.from(transaction.undoable).map(key => ({
+                key,
+                previousValue: transaction.snapshots.get(key).value,
+                previousExists: transaction.snapshots.get(key).exists,
+                value: transaction.updates.get(key).value,
+                exists: !transaction.updates.get(key).deleted
+            }))
+        });
+    }
+
+    pushUndo(action) {
+        this.undoStack.push(action);
+        if (this.undoStack.length > this.config.undoLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Reverts the latest local action, or the latest one touching `options.key`
+     * (only that key is reverted) or belonging to `options.transaction`. The
+     * revert is a new local write, so it syncs like any other change.
+     */
+    undo(options = {}) {
+        return this.stepHistory('undo', options);
+    }
+
+    redo(options = {}) {
+        return this.stepHistory('redo', options);
+    }
+
+    canUndo(options = {}) {
+        return this.findAction(this.undoStack, options) !== -1;
+    }
+
+    canRedo(options = {}) {
+        return this.findAction(this.redoStack, options) !== -1;
+    }
+
+    findAction(stack, options) {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const action = stack[i];
+            if (options.key !== undefined && !action.entries.some(entry => entry.key === options.key)) continue;
+            if (options.transaction !== undefined && action.transaction !== options.transaction) continue;
+            return i;
+        }
+        return -1;
+    }
+
+    stepHistory(direction, options) {
+        const [stack, opposite] = direction === 'undo'
+            ? [this.undoStack, this.redoStack]
+            : [this.redoStack, this.undoStack];
+
+        const index = this.findAction(stack, options);
+        if (index === -1) return null;
+
+        const action = stack[index];
+        const entries = options.key !== undefined
+            ? action.entries.filter(entry => entry.key === options.key)
+            : action.entries;
+        const remaining = action.entries.filter(entry => !entries.includes(entry));
+
+        if (remaining.length > 0) {
+            stack[index] = { ...action, entries: remaining };
+        } else {
+            stack.splice(index, 1);
+        }
+
+        const { transactionId } = this.transaction(() => {
+            entries.forEach(entry => {
+                // Stepping back to before a key existed deletes it
+                const exists = direction === 'undo' ? entry.previousExists : entry.exists;
+                this.setState(entry.key, direction === 'undo' ? entry.previousValue : entry.value, {
+                    historyAction: direction,
+                    deleted: exists === false,
+                    metadata: { [direction]: action.id }
+                });
+            });
+        });
+
+        opposite.push({ ...action, entries });
+        if (opposite.length > this.config.undoLimit) {
+            opposite.shift();
+        }
+
+        return {
+            actionId: action.id,
+            keys: entries.map(entry => entry.key),
+            transactionId
+        };
+    }
+
+    /**
+     * Returns every key to its value at `version` in one undoable transaction.
+     * Keys created after `version` are deleted. Only versions still covered by
+     * the history can be restored.
+     */
+    restoreTo(version) {
+        if (version > this.version || version < this.historyStart) {
+            throw new Error(`Version ${version} is not in history`);
+        }
+
+        // The first write after `version` holds each key's value at that version
+        const values = new Map();
+        this.history.forEach(entry => {
+            if (entry.version > version && !values.has(entry.key)) {
+                values.set(entry.key, { value: entry.previousValue, exists: entry.previousExists });
+            }
+        });
+
+        return this.transaction(() => {
+            values.forEach(({ value, exists }, key) => {
+                if (exists === false && !this.state.has(key)) return;
+                this.setState(key, value, { deleted: exists === false, metadata: { restoredTo: version } });
+            });
+        });
+    }
+
+    /**
+     * Applies RFC 6902 operations to a key as a single update. If any
+     * operation fails the state is left untouched.
+     */
+    applyPatch(key, operations, options = {}) {
+        const value = SrvraJsonPatch.apply(this.state.get(key), operations);
+        return this.setState(key, value, { ...options, patch: operations });
+    }
+
     getState(key, options = {}) {
         const value = this.state.get(key);
         
@@ -72,6 +457,11 @@ class SrvraStateManager {
             return {
                 value,
                 version: this.version,
+                keyVersion: this.getKeyVersion(key),
+                vector: this.getVector(key),
+                dirty: this.isDirty(key),
+                conflicted: this.isConflicted(key),
+                schemaVersion: this.schemaVersions.get(key),
                 lastUpdate: this.getLastUpdate(key)
             };
         }
@@ -79,6 +469,256 @@ class SrvraStateManager {
         return value;
     }
 
+    getKeyVersion(key) {
+        return this.keyVersions.get(key) || 0;
+    }
+
+    getAcknowledgedVersion(key) {
+        return this.acknowledgedVersions.get(key) || 0;
+    }
+
+    getVector(key) {
+        return { ...this.vectors.get(key) };
+    }
+
+    /**
+     * Classifies a remote write of `key` as newer, older, equal or concurrent
+     * relative to the local value.
+     */
+    compareVector(key, vector) {
+        return SrvraVersionVector.compare(this.getVector(key), vector);
+    }
+
+    /**
+     * Records when each field of an object value last changed. Remote writes
+     * carry the writer's timestamps in `incoming`.
+     */
+    updateFieldTimestamps(key, previousValue, value, incoming, timestamp) {
+        if (!isPlainObject(value)) {
+            this.fieldTimestamps.delete(key);
+            return undefined;
+        }
+
+        const timestamps = { ...this.fieldTimestamps.get(key) };
+
+        if (incoming) {
+            Object.entries(incoming).forEach(([path, fieldTimestamp]) => {
+                timestamps[path] = Math.max(timestamps[path] || 0, fieldTimestamp);
+            });
+        } else {
+            collectChangedPaths(previousValue, value).forEach(path => {
+                timestamps[path] = timestamp;
+            });
+        }
+
+        this.fieldTimestamps.set(key, timestamps);
+        return { ...timestamps };
+    }
+
+    getFieldTimestamps(key) {
+        const timestamps = this.fieldTimestamps.get(key);
+        return timestamps ? { ...timestamps } : undefined;
+    }
+
+    defineCRDT(key, type) {
+        if (this.crdts.has(key)) {
+            return this.crdts.get(key);
+        }
+
+        const crdt = createCRDT(type, this.nodeId);
+        this.crdts.set(key, crdt);
+
+        if (this.state.has(key)) {
+            crdt.assign(this.state.get(key));
+            this.state.set(key, crdt.value());
+        }
+
+        return crdt;
+    }
+
+    isCRDT(key) {
+        return this.crdts.has(key);
+    }
+
+    getCRDTState(key) {
+        const crdt = this.crdts.get(key);
+        return crdt ? crdt.toJSON() : undefined;
+    }
+
+    /**
+     * Applies CRDT operations, e.g. `updateCRDT('likes', counter => counter.increment())`.
+     */
+    updateCRDT(key, mutator, options = {}) {
+        const crdt = this.crdts.get(key);
+        if (!crdt) {
+            throw new Error(`State key is not a CRDT: ${key}`);
+        }
+
+        // The operations mutate the CRDT in place, so capture it before they run
+        if (this.activeTransaction) {
+            this.captureKey(this.activeTransaction, key);
+        }
+
+        mutator(crdt);
+        return this.setState(key, crdt.value(), { ...options, crdtApplied: true });
+    }
+
+    /**
+     * Merges a remote CRDT state. Merges commute, so no conflict resolution is needed.
+     */
+    mergeCRDT(key, state) {
+        const crdt = this.defineCRDT(key, state.type);
+        const wasDirty = this.isDirty(key);
+
+        if (this.activeTransaction) {
+            this.captureKey(this.activeTransaction, key);
+        }
+
+        crdt.merge(state);
+
+        // Unsent local operations keep the key dirty so they still reach the server
+        return this.setState(key, crdt.value(), {
+            source: wasDirty ? 'crdt-merge' : 'merge',
+            crdtApplied: true
+        });
+    }
+
+    isDirty(key) {
+        return this.getKeyVersion(key) > this.getAcknowledgedVersion(key);
+    }
+
+    getDirtyKeys() {
+        return Array.from(this.keyVersions.keys()).filter(key => this.isDirty(key));
+    }
+
+    /**
+     * Records that the server holds `version` of a key. Later local writes keep the key dirty.
+     */
+    acknowledge(key, version = this.getKeyVersion(key)) {
+        if (typeof version !== 'number') return false;
+        if (version <= this.getAcknowledgedVersion(key)) return false;
+
+        this.acknowledgedVersions.set(key, Math.min(version, this.getKeyVersion(key)));
+        this.schedulePersist(key);
+        return true;
+    }
+
+    /**
+     * Flags a key as waiting for manual conflict resolution.
+     */
+    markConflicted(key, conflictId) {
+        this.conflicted.set(key, conflictId);
+    }
+
+    clearConflicted(key) {
+        this.conflicted.delete(key);
+    }
+
+    getConflictId(key) {
+        return this.conflicted.get(key);
+    }
+
+    isConflicted(key) {
+        return this.conflicted.has(key);
+    }
+
+    getConflictedKeys() {
+        return Array.from(this.conflicted.keys());
+    }
+
+    prepareMigrations(migrations) {
+        const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+        sorted.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || typeof migration.migrate !== 'function') {
+                throw new Error('Migrations need an integer version and a migrate function');
+            }
+            if (index > 0 && sorted[index - 1].version === migration.version) {
+                throw new Error(`Duplicate migration for schema version ${migration.version}`);
+            }
+        });
+
+        return sorted;
+    }
+
+    getSchemaVersion() {
+        return this.schemaVersion;
+    }
+
+    /**
+     * Runs `migrate(value, key)` of every migration newer than `fromVersion`, up
+     * to the current schema, in version order.
+     */
+    migrateValue(key, value, fromVersion) {
+        return this.migrations
+            .filter(migration => migration.version > fromVersion && migration.version <= this.schemaVersion)
+            .reduce((current, migration) => migration.migrate(current, key), value);
+    }
+
+    /**
+     * Brings a value written under `schemaVersion` to the current schema. Values
+     * without a schemaVersion are taken as current. Values from a newer schema,
+     * or whose migration throws, are quarantined, or dropped when
+     * `newerSchemaAction` is 'reject'.
+     */
+    upgradeValue(key, value, schemaVersion, source) {
+        if (schemaVersion === undefined || schemaVersion === this.schemaVersion) {
+            return { value, migrated: false };
+        }
+
+        let error;
+        if (schemaVersion < this.schemaVersion) {
+            try {
+                return { value: this.migrateValue(key, value, schemaVersion), migrated: true };
+            } catch (migrationError) {
+                error = migrationError;
+            }
+        }
+
+        const entry = {
+            key,
+            value,
+            schemaVersion,
+            source,
+            error: error ? error.message : undefined,
+            receivedAt: Date.now()
+        };
+
+        const rejected = this.config.newerSchemaAction === 'reject' && !error;
+        if (!rejected) {
+            this.quarantine.set(key, entry);
+        }
+        if (this.config.onSchemaMismatch) {
+            this.config.onSchemaMismatch({ ...entry, action: rejected ? 'rejected' : 'quarantined' });
+        }
+
+        return rejected ? { rejected: true } : { quarantined: true };
+    }
+
+    getQuarantined(key) {
+        return key === undefined
+            ? Array.from(this.quarantine.values())
+            : this.quarantine.get(key);
+    }
+
+    /**
+     * Removes and returns a quarantined value so the app can handle it.
+     */
+    releaseQuarantined(key) {
+        const entry = this.quarantine.get(key);
+        this.quarantine.delete(key);
+        return entry;
+    }
+
+    setMetadata(key, value) {
+        this.metadata.set(key, value);
+        this.schedulePersist(key);
+    }
+
+    getMetadata(key) {
+        return this.metadata.get(key);
+    }
+
     subscribe(key, callback, options = {}) {
         const subscriberId = this.generateSubscriberId();
         
@@ -104,11 +744,13 @@ class SrvraStateManager {
         const batchId = this.generateBatchId();
         const results = new Map();
 
-        updates.forEach(({ key, value, options = {} }) => {
-            results.set(key, this.setState(key, value, {
-                ...options,
-                batch: batchId
-            }));
+        this.transaction(() => {
+            updates.forEach(({ key, value, options = {} }) => {
+                results.set(key, this.setState(key, value, {
+                    ...options,
+                    batch: batchId
+                }));
+            });
         });
 
         return {
@@ -120,11 +762,21 @@ class SrvraStateManager {
     merge(incomingState, options = {}) {
         const conflicts = new Map();
         const updates = new Map();
+        const vectors = options.vectors || {};
+        const fieldTimestamps = options.fieldTimestamps || {};
+        let skipped = 0;
 
         for (const [key, value] of Object.entries(incomingState)) {
             const currentValue = this.state.get(key);
-            
-            if (this.hasConflict(currentValue, value)) {
+            const causality = vectors[key] ? this.compareVector(key, vectors[key]) : null;
+
+            // Writes we have already seen or superseded
+            if (causality === SrvraCausalityTypes.OLDER || causality === SrvraCausalityTypes.EQUAL) {
+                skipped++;
+                continue;
+            }
+
+            if (causality === SrvraCausalityTypes.CONCURRENT || (!causality && this.hasConflict(currentValue, value))) {
                 conflicts.set(key, {
                     incoming: value,
                     current: currentValue
@@ -135,34 +787,42 @@ class SrvraStateManager {
         }
 
         if (conflicts.size > 0) {
-            this.resolveConflicts(conflicts, options.mergeStrategy);
+            this.resolveConflicts(conflicts, options.mergeStrategy, vectors);
         }
 
         updates.forEach((value, key) => {
-            this.setState(key, value, { source: 'merge' });
+            this.setState(key, value, {
+                source: 'merge',
+                vector: vectors[key],
+                fieldTimestamps: fieldTimestamps[key]
+            });
         });
 
         return {
             conflicts: conflicts.size,
-            updates: updates.size
+            updates: updates.size,
+            skipped
         };
     }
 
-    trackHistory(update, previousValue) {
+    trackHistory(update, previousValue, previousExists) {
         this.history.push({
             ...update,
-            previousValue
+            previousValue,
+            previousExists
         });
 
+        // Versions before the oldest dropped entry can no longer be restored
         if (this.history.length > this.config.historySize) {
-            this.history.shift();
+            this.historyStart = this.history.shift().version;
         }
     }
 
-    notifySubscribers(key, value, update) {
-        if (!this.subscribers.has(key)) return;
-
-        const subscribers = Array.from(this.subscribers.get(key).entries())
+    notifySubscribers(key, value, update, names = [key, '*']) {
+        // '*' subscribers receive updates for every key
+        const subscribers = [...new Set(names)]
+            .filter(name => this.subscribers.has(name))
+            .flatMap(name => Array.from(this.subscribers.get(name).entries()))
             .sort(([, a], [, b]) => this.prioritySort(a.priority, b.priority));
 
         subscribers.forEach(([, subscriber]) => {
@@ -172,15 +832,35 @@ class SrvraStateManager {
         });
     }
 
+    notifyTransaction(transaction) {
+        const values = {};
+
+        transaction.updates.forEach((update, key) => {
+            values[key] = update.value;
+            this.notifySubscribers(key, update.value, update, [key]);
+        });
+
+        this.notifySubscribers('*', values, {
+            id: transaction.id,
+            type: 'transaction',
+            transaction: transaction.id,
+            version: transaction.version,
+            keys: Object.keys(values),
+            updates: Array.from(transaction.updates.values()),
+            nodeId: this.nodeId,
+            timestamp: Date.now()
+        }, ['*']);
+    }
+
     hasConflict(current, incoming) {
         if (!current || !incoming) return false;
         return current.version && incoming.version && current.version !== incoming.version;
     }
 
-    resolveConflicts(conflicts, strategy = this.config.mergeStrategy) {
+    resolveConflicts(conflicts, strategy = this.config.mergeStrategy, vectors = {}) {
         conflicts.forEach((conflict, key) => {
             const resolvedValue = this.applyMergeStrategy(conflict, strategy);
-            this.setState(key, resolvedValue, { source: 'conflict-resolution' });
+            this.setState(key, resolvedValue, { source: 'conflict-resolution', vector: vectors[key] });
         });
     }
 
@@ -202,12 +882,299 @@ class SrvraStateManager {
         return priorityMap[b] - priorityMap[a];
     }
 
+    /**
+     * Finds the latest local history entry for `key` that the given remote
+     * vector already includes, i.e. the version both sides diverged from.
+     * Without a vector the last acknowledged version is used.
+     */
+    getCommonAncestor(key, vector) {
+        const acknowledged = this.getAcknowledgedVersion(key);
+
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            const entry = this.history[i];
+            if (entry.key !== key) continue;
+
+            if (vector) {
+                const causality = SrvraVersionVector.compare(entry.vector, vector);
+                if (causality === SrvraCausalityTypes.NEWER || causality === SrvraCausalityTypes.EQUAL) {
+                    return entry;
+                }
+            } else if (entry.keyVersion === acknowledged) {
+                return entry;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Serializable copy of the state, versions, history and metadata.
+     * Subscribers are not included.
+     */
+    snapshot() {
+        if (this.activeTransaction) {
+            throw new Error('Cannot snapshot during a transaction');
+        }
+
+        return SrvraSnapshot.create('state-manager', {
+            nodeId: this.nodeId,
+            version: this.version,
+            state: this.state,
+            keyVersions: this.keyVersions,
+            acknowledgedVersions: this.acknowledgedVersions,
+            vectors: this.vectors,
+            fieldTimestamps: this.fieldTimestamps,
+            metadata: this.metadata,
+            conflicted: this.conflicted,
+            schemaVersions: this.schemaVersions,
+            quarantine: this.quarantine,
+            crdts: new Map(Array.from(this.crdts, ([key, crdt]) => [key, crdt.toJSON()])),
+            history: this.history,
+            historyStart: this.historyStart,
+            undoStack: this.undoStack,
+            redoStack: this.redoStack
+        });
+    }
+
+    /**
+     * Replaces everything with the contents of a snapshot. This node keeps its
+     * own nodeId. Subscribers of every affected key are notified with source
+     * 'restore', and '*' subscribers once with an update of type 'restore'.
+     */
+    restore(snapshot) {
+        if (this.activeTransaction) {
+            throw new Error('Cannot restore during a transaction');
+        }
+
+        const data = SrvraSnapshot.read(snapshot, 'state-manager');
+        const keys = new Set([...this.state.keys(), ...data.state.keys()]);
+
+        this.version = data.version;
+        this.state = data.state;
+        this.keyVersions = data.keyVersions;
+        this.acknowledgedVersions = data.acknowledgedVersions;
+        this.vectors = data.vectors;
+        this.fieldTimestamps = data.fieldTimestamps;
+        this.metadata = data.metadata;
+        this.conflicted = data.conflicted;
+        this.schemaVersions = data.schemaVersions || new Map();
+        this.quarantine = data.quarantine || new Map();
+        this.history = data.history;
+        this.historyStart = data.historyStart;
+        this.undoStack = data.undoStack;
+        this.redoStack = data.redoStack;
+        this.crdts = new Map();
+        data.crdts.forEach((state, key) => {
+            this.crdts.set(key, createCRDT(state.type, this.nodeId, state));
+        });
+
+        keys.forEach(key => this.schedulePersist(key));
+        this.notifyLoaded(Array.from(keys), 'restore', { nodeId: data.nodeId });
+
+        return Array.from(keys);
+    }
+
+    // Announces values loaded from outside: once per key, and once to '*'
+    notifyLoaded(keys, source, details = {}) {
+        const timestamp = Date.now();
+        const values = {};
+
+        keys.forEach(key => {
+            values[key] = this.state.get(key);
+            this.notifySubscribers(key, values[key], {
+                key,
+                value: values[key],
+                version: this.version,
+                keyVersion: this.getKeyVersion(key),
+                source,
+                timestamp
+            }, [key]);
+        });
+
+        this.notifySubscribers('*', values, {
+            type: source,
+            version: this.version,
+            keys,
+            source,
+            ...details,
+            timestamp
+        }, ['*']);
+    }
+
+    createPersistence(config) {
+        if (!config) return null;
+
+        const options = config === true ? {} : config;
+        return {
+            prefix: 'state:',
+            include: null,
+            exclude: [],
+            debounce: 100,
+            maxWait: 1000,
+            ...options,
+            storage: options.storage || this.createPersistenceStorage()
+        };
+    }
+
+    createPersistenceStorage() {
+        if (globalThis.localStorage) return new SrvraLocalStorage();
+        if (globalThis.indexedDB) return new SrvraIndexedDBStorage();
+        return new SrvraMemoryStorage();
+    }
+
+    shouldPersist(key) {
+        const { include, exclude } = this.persistence;
+        if (include && !matchesKeyList(include, key)) return false;
+        return !matchesKeyList(exclude, key);
+    }
+
+    /**
+     * Write-behind: keys are written once `debounce` ms pass without new writes,
+     * or at the latest `maxWait` ms after the first unwritten change.
+     */
+    schedulePersist(key) {
+        if (!this.persistence || !this.shouldPersist(key)) return;
+
+        const now = Date.now();
+        if (this.persistQueuedAt === null) {
+            this.persistQueuedAt = now;
+        }
+        this.persistQueue.add(key);
+
+        const { debounce, maxWait } = this.persistence;
+        const remaining = maxWait > 0 ? Math.max(0, this.persistQueuedAt + maxWait - now) : Infinity;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.flushPersistence(), Math.min(debounce, remaining));
+    }
+
+    /**
+     * Writes queued keys now. Records are built synchronously, so the state can
+     * change or be destroyed while the writes finish.
+     */
+    flushPersistence() {
+        if (!this.persistence) return this.persisting;
+
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        this.persistQueuedAt = null;
+
+        const { storage, prefix } = this.persistence;
+        const writes = Array.from(this.persistQueue, key => (this.state.has(key)
+            ? [key, this.createPersistedRecord(key)]
+            : [key, null]));
+        this.persistQueue.clear();
+
+        this.persisting = this.persisting
+            .then(() => Promise.all(writes.map(([key, record]) => (record
+                ? storage.set(prefix + key, record)
+                : storage.delete(prefix + key)))))
+            .catch(error => {
+                if (this.persistence.onError) {
+                    this.persistence.onError(error);
+                }
+            });
+
+        return this.persisting;
+    }
+
+    createPersistedRecord(key) {
+        const crdt = this.crdts.get(key);
+        const lastUpdate = this.getLastUpdate(key);
+
+        return {
+            schemaVersion: this.schemaVersions.get(key) ?? this.schemaVersion,
+            value: SrvraSnapshot.encode(this.state.get(key)),
+            version: lastUpdate ? lastUpdate.version : this.version,
+            keyVersion: this.getKeyVersion(key),
+            acknowledgedVersion: this.getAcknowledgedVersion(key),
+            vector: this.getVector(key),
+            fieldTimestamps: this.getFieldTimestamps(key),
+            metadata: this.metadata.has(key) ? SrvraSnapshot.encode(this.metadata.get(key)) : undefined,
+            crdt: crdt ? crdt.toJSON() : undefined,
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * Loads persisted keys that are not in memory yet. Records from an older
+     * schema are migrated and saved again; records from a newer one, or whose
+     * migration fails, are quarantined or rejected and listed as `skipped`.
+     * Subscribers are notified with source 'rehydrate'.
+     */
+    async rehydrate() {
+        if (!this.persistence) {
+            return { keys: [], migrated: [], skipped: [], schemaVersion: this.schemaVersion };
+        }
+
+        const { storage, prefix } = this.persistence;
+        const storageKeys = (await storage.keys()).filter(storageKey => storageKey.startsWith(prefix));
+        const keys = [];
+        const migrated = [];
+        const skipped = [];
+
+        for (const storageKey of storageKeys) {
+            const key = storageKey.slice(prefix.length);
+
+            // Values written since startup are newer than anything persisted
+            if (!this.shouldPersist(key) || this.state.has(key)) continue;
+
+            const record = await storage.get(storageKey);
+            if (!record) continue;
+
+            const upgraded = this.upgradeValue(key, SrvraSnapshot.decode(record.value), record.schemaVersion, 'rehydrate');
+            if (upgraded.rejected || upgraded.quarantined) {
+                skipped.push({
+                    key,
+                    schemaVersion: record.schemaVersion,
+                    reason: upgraded.quarantined ? 'quarantined' : 'rejected'
+                });
+                continue;
+            }
+
+            this.loadPersistedRecord(key, record, upgraded.value);
+            keys.push(key);
+            if (upgraded.migrated) {
+                migrated.push(key);
+                this.schedulePersist(key);
+            }
+        }
+
+        if (keys.length > 0) {
+            this.notifyLoaded(keys, 'rehydrate');
+        }
+
+        return { keys, migrated, skipped, schemaVersion: this.schemaVersion };
+    }
+
+    loadPersistedRecord(key, record, value) {
+        this.state.set(key, value);
+        this.schemaVersions.set(key, this.schemaVersion);
+        this.version = Math.max(this.version, record.version || 0);
+        this.keyVersions.set(key, record.keyVersion || 0);
+        this.acknowledgedVersions.set(key, record.acknowledgedVersion || 0);
+        this.vectors.set(key, { ...record.vector });
+
+        if (record.fieldTimestamps) {
+            this.fieldTimestamps.set(key, { ...record.fieldTimestamps });
+        }
+        if (record.metadata !== undefined) {
+            this.metadata.set(key, SrvraSnapshot.decode(record.metadata));
+        }
+        if (record.crdt) {
+            this.crdts.set(key, createCRDT(record.crdt.type, this.nodeId, record.crdt));
+        }
+    }
+
     getLastUpdate(key) {
         return this.history
             .filter(update => update.key === key)
             .pop();
     }
 
+    generateNodeId() {
+        return `node_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     generateUpdateId() {
         return `upd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -220,21 +1187,44 @@ class SrvraStateManager {
         return `bat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    generateTransactionId() {
+        return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     getStatistics() {
         return {
             stateSize: this.state.size,
             historyLength: this.history.length,
             subscriberCount: Array.from(this.subscribers.values())
                 .reduce((total, subs) => total + subs.size, 0),
-            version: this.version
+            version: this.version,
+            dirtyKeys: this.getDirtyKeys().length
         };
     }
 
     destroy() {
+        // Pending writes are flushed before the state goes away
+        if (this.persistQueue.size > 0) {
+            this.flushPersistence();
+        }
+        clearTimeout(this.persistTimer);
+
         this.state.clear();
         this.history = [];
+        this.undoStack = [];
+        this.redoStack = [];
         this.subscribers.clear();
         this.pendingUpdates.clear();
+        this.metadata.clear();
+        this.keyVersions.clear();
+        this.acknowledgedVersions.clear();
+        this.vectors.clear();
+        this.crdts.clear();
+        this.fieldTimestamps.clear();
+        this.conflicted.clear();
+        this.schemaVersions.clear();
+        this.quarantine.clear();
+        this.activeTransaction = null;
     }
 }
 
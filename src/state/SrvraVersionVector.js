@@ -0,0 +1,68 @@
+// /srvra-sync/src/state/SrvraVersionVector.js
+
+/**
+ * SRVRA Version Vector
+ * Causality tracking for state keys written by multiple nodes
+ *
+ * Features:
+ * - Per-node write counters
+ * - Vector merging
+ * - Newer, older and concurrent classification
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+import { SrvraCausalityTypes } from '/js/srvra-sync/src/types.js';
+
+/**
+ * Vectors are plain `{ [nodeId]: counter }` objects so they serialize as-is.
+ */
+class SrvraVersionVector {
+    static increment(vector = {}, nodeId) {
+        return {
+            ...vector,
+            [nodeId]: (vector[nodeId] || 0) + 1
+        };
+    }
+
+    static merge(a = {}, b = {}) {
+        const merged = { ...a };
+        Object.entries(b).forEach(([nodeId, counter]) => {
+            merged[nodeId] = Math.max(merged[nodeId] || 0, counter);
+        });
+        return merged;
+    }
+
+    /**
+     * Describes `incoming` relative to `current`.
+     */
+    static compare(current = {}, incoming = {}) {
+        let incomingAhead = false;
+        let currentAhead = false;
+
+        new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach(nodeId => {
+            const a = current[nodeId] || 0;
+            const b = incoming[nodeId] || 0;
+            if (b > a) incomingAhead = true;
+            if (a > b) currentAhead = true;
+        });
+
+        if (incomingAhead && currentAhead) return SrvraCausalityTypes.CONCURRENT;
+        if (incomingAhead) return SrvraCausalityTypes.NEWER;
+        if (currentAhead) return SrvraCausalityTypes.OLDER;
+        return SrvraCausalityTypes.EQUAL;
+    }
+}
+
+export { SrvraVersionVector };
@@ -0,0 +1,261 @@
+// /srvra-sync/src/storage/SrvraStorage.js
+
+/**
+ * SRVRA Storage
+ * Asynchronous key-value storage adapters used for durable engine data
+ *
+ * Features:
+ * - Common async adapter interface
+ * - In-memory adapter for tests and Node
+ * - IndexedDB adapter for browsers
+ * - localStorage adapter for browsers
+ * - File-system adapter for Node
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+/**
+ * Adapters implement `get`, `set`, `delete`, `keys` and `clear`, all returning promises.
+ * Values must be JSON-serializable.
+ */
+class SrvraMemoryStorage {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.get(key);
+    }
+
+    async set(key, value) {
+        this.records.set(key, value);
+    }
+
+    async delete(key) {
+        this.records.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.records.keys());
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+class SrvraIndexedDBStorage {
+    constructor(config = {}) {
+        this.config = {
+            databaseName: config.databaseName || 'srvra-sync',
+            storeName: config.storeName || 'records',
+            indexedDB: config.indexedDB || globalThis.indexedDB,
+            ...config
+        };
+
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return this.database;
+
+        if (!this.config.indexedDB) {
+            return Promise.reject(new Error('SrvraIndexedDBStorage requires IndexedDB to be available'));
+        }
+
+        this.database = new Promise((resolve, reject) => {
+            const request = this.config.indexedDB.open(this.config.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    db.createObjectStore(this.config.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.database = null;
+                reject(request.error);
+            };
+        });
+
+        return this.database;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.config.storeName, mode);
+            const request = operation(transaction.objectStore(this.config.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Stores each record as JSON under `prefix + key`, so several adapters can share
+ * one localStorage without clearing each other's records.
+ */
+class SrvraLocalStorage {
+    constructor(config = {}) {
+        this.config = {
+            prefix: config.prefix || 'srvra:',
+            localStorage: config.localStorage || globalThis.localStorage,
+            ...config
+        };
+    }
+
+    getStore() {
+        if (!this.config.localStorage) {
+            throw new Error('SrvraLocalStorage requires localStorage to be available');
+        }
+        return this.config.localStorage;
+    }
+
+    async get(key) {
+        const stored = this.getStore().getItem(this.config.prefix + key);
+        return stored === null ? undefined : JSON.parse(stored);
+    }
+
+    async set(key, value) {
+        this.getStore().setItem(this.config.prefix + key, JSON.stringify(value));
+    }
+
+    async delete(key) {
+        this.getStore().removeItem(this.config.prefix + key);
+    }
+
+    async keys() {
+        const store = this.getStore();
+        const keys = [];
+        for (let i = 0; i < store.length; i++) {
+            const name = store.key(i);
+            if (name !== null && name.startsWith(this.config.prefix)) {
+                keys.push(name.slice(this.config.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    async clear() {
+        const keys = await this.keys();
+        keys.forEach(key => this.getStore().removeItem(this.config.prefix + key));
+    }
+}
+
+/**
+ * Node file-system adapter. All records live in a single JSON file which is
+ * rewritten atomically (temp file + rename) on every change.
+ */
+class SrvraFileStorage {
+    constructor(config = {}) {
+        this.config = {
+            path: config.path || '.srvra-sync.json',
+            ...config
+        };
+
+        this.records = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = this.readFile().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async readFile() {
+        const fs = await import('fs/promises');
+        try {
+            const contents = await fs.readFile(this.config.path, 'utf8');
+            this.records = new Map(Object.entries(JSON.parse(contents)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.records = new Map();
+        }
+
+        return this.records;
+    }
+
+    flush() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const fs = await import('fs/promises');
+            const tempPath = `${this.config.path}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.records)));
+            await fs.rename(tempPath, this.config.path);
+        });
+
+        return this.writing;
+    }
+
+    async get(key) {
+        const records = await this.load();
+        return records.get(key);
+    }
+
+    async set(key, value) {
+        const records = await this.load();
+        records.set(key, value);
+        await this.flush();
+    }
+
+    async delete(key) {
+        const records = await this.load();
+        records.delete(key);
+        await this.flush();
+    }
+
+    async keys() {
+        const records = await this.load();
+        return Array.from(records.keys());
+    }
+
+    async clear() {
+        const records = await this.load();
+        records.clear();
+        await this.flush();
+    }
+}
+
+export { SrvraMemoryStorage, SrvraIndexedDBStorage, SrvraLocalStorage, SrvraFileStorage };
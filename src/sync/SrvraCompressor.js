@@ -0,0 +1,104 @@
+// /srvra-sync/src/sync/SrvraCompressor.js
+
+/**
+ * SRVRA Compressor
+ * Payload compression for sync envelopes
+ *
+ * Features:
+ * - gzip and deflate encodings
+ * - CompressionStream in browsers, zlib in Node
+ * - Base64 payloads safe for JSON transports
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+const SUPPORTED_ENCODINGS = ['gzip', 'deflate'];
+
+class SrvraCompressor {
+    constructor(config = {}) {
+        this.config = {
+            encoding: config.encoding || 'gzip',
+            ...config
+        };
+
+        if (!SUPPORTED_ENCODINGS.includes(this.config.encoding)) {
+            throw new Error(`Unsupported compression encoding: ${this.config.encoding}`);
+        }
+    }
+
+    /**
+     * Compresses a string and returns the result as base64.
+     */
+    async compress(text, encoding = this.config.encoding) {
+        const bytes = new TextEncoder().encode(text);
+
+        if (typeof CompressionStream === 'function') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(encoding));
+            return this.toBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+        }
+
+        const zlib = await import('zlib');
+        const compressed = encoding === 'gzip' ? zlib.gzipSync(bytes) : zlib.deflateSync(bytes);
+        return this.toBase64(new Uint8Array(compressed));
+    }
+
+    async decompress(payload, encoding = this.config.encoding) {
+        if (!SUPPORTED_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported compression encoding: ${encoding}`);
+        }
+
+        const bytes = this.fromBase64(payload);
+
+        if (typeof DecompressionStream === 'function') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(encoding));
+            return new Response(stream).text();
+        }
+
+        const zlib = await import('zlib');
+        const decompressed = encoding === 'gzip' ? zlib.gunzipSync(bytes) : zlib.inflateSync(bytes);
+        return new TextDecoder().decode(decompressed);
+    }
+
+    byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    toBase64(bytes) {
+        if (globalThis.Buffer) {
+            return globalThis.Buffer.from(bytes).toString('base64');
+        }
+
+        // Chunked to stay below the argument limit of String.fromCharCode
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(payload) {
+        if (globalThis.Buffer) {
+            return new Uint8Array(globalThis.Buffer.from(payload, 'base64'));
+        }
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+export { SrvraCompressor };
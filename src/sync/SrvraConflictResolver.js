@@ -11,6 +11,8 @@
  * - Automatic conflict resolution
  * - History-aware reconciliation
  * - Real-time conflict handling
+ * - Asynchronous strategies with bounded retries and fallbacks
+ * - Identity-aware array merges that keep deletions
  * 
  * Copyright (C) [2025] [Srvra]
  * Author: [Santosh Sinha]
@@ -26,6 +28,61 @@
 
 
 
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function dataTypeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value !== null && typeof value === 'object') return 'object';
+    return typeof value;
+}
+
+// Identity of each item: its `idField` value when every item has a unique one,
+// otherwise its JSON with an occurrence count so duplicates stay distinct
+function identityKeys(array, idField) {
+    if (idField) {
+        const ids = array.map(item => isPlainObject(item) && item[idField] !== undefined
+            ? JSON.stringify(item[idField])
+            : undefined);
+        if (!ids.includes(undefined) && new Set(ids).size === ids.length) return ids;
+    }
+
+    const seen = new Map();
+    return array.map(item => {
+        const json = JSON.stringify(item);
+        const count = (seen.get(json) || 0) + 1;
+        seen.set(json, count);
+        return `${json}#${count}`;
+    });
+}
+
+// `*` matches one path segment, `**` any number of segments
+function matchesPattern(segments, path) {
+    if (segments.length === 0) return path.length === 0;
+
+    const [segment, ...rest] = segments;
+    if (segment === '**') {
+        return path.some((_, index) => matchesPattern(rest, path.slice(index))) || matchesPattern(rest, []);
+    }
+
+    return path.length > 0
+        && (segment === '*' || segment === path[0])
+        && matchesPattern(rest, path.slice(1));
+}
+
+// Literal segments outrank `*`, which outranks `**`
+function patternSpecificity(segments) {
+    return segments.reduce((score, segment) => {
+        if (segment === '**') return score;
+        return score + (segment === '*' ? 1 : 2);
+    }, 0);
+}
+
 class SrvraConflictResolver {
     constructor(config = {}) {
         this.config = {
@@ -33,18 +90,81 @@ class SrvraConflictResolver {
             maxRetries: config.maxRetries || 3,
             enableMergeRules: config.enableMergeRules || true,
             trackHistory: config.trackHistory || true,
+            historySize: config.historySize || 100,
+            threeWayMerge: config.threeWayMerge ?? true,
+            autoResolveThreshold: config.autoResolveThreshold ?? 0.8,
+            lowConfidenceAction: config.lowConfidenceAction || 'warn',
+            attemptTimeout: config.attemptTimeout ?? 5000,
+            fallbackStrategies: config.fallbackStrategies || [],
+            arrayIdFields: config.arrayIdFields || {},
             ...config
         };
 
         this.conflictHistory = [];
         this.mergeRules = new Map();
         this.customStrategies = new Map();
+        this.policies = [];
         this.init();
     }
 
     init() {
         this.registerDefaultStrategies();
         this.setupMergeRules();
+        this.setupPolicies();
+        this.validateFallbackStrategies();
+    }
+
+    validateFallbackStrategies() {
+        this.config.fallbackStrategies.forEach(strategy => {
+            if (!this.customStrategies.has(strategy)) {
+                throw new Error(`Unknown fallback strategy: ${strategy}`);
+            }
+        });
+    }
+
+    /**
+     * `config.policies` maps state keys or paths to strategies, e.g.
+     * `{ 'cart.items': 'auto-merge', 'cart.couponCode': 'server-wins', 'drafts.*': 'client-wins' }`.
+     * The first segment is the state key; the rest is a path into its value.
+     */
+    setupPolicies() {
+        Object.entries(this.config.policies || {}).forEach(([pattern, strategy]) => {
+            this.registerPolicy(pattern, strategy);
+        });
+    }
+
+    registerPolicy(pattern, strategy) {
+        if (typeof pattern !== 'string' || pattern.trim() === '') {
+            throw new Error('Conflict policy pattern must be a non-empty string');
+        }
+
+        const segments = pattern.split('.');
+        if (segments.some(segment => segment === '')) {
+            throw new Error(`Invalid conflict policy pattern: ${pattern}`);
+        }
+
+        if (typeof strategy !== 'function' && !this.customStrategies.has(strategy)) {
+            throw new Error(`Unknown resolution strategy for policy ${pattern}: ${strategy}`);
+        }
+
+        this.policies = this.policies.filter(policy => policy.pattern !== pattern);
+        this.policies.push({
+            pattern,
+            segments,
+            strategy,
+            specificity: patternSpecificity(segments)
+        });
+    }
+
+    findPolicy(path) {
+        return this.policies
+            .filter(policy => matchesPattern(policy.segments, path))
+            .reduce((best, policy) => (!best || policy.specificity > best.specificity ? policy : best), null);
+    }
+
+    hasPathPolicies(key) {
+        return this.policies.some(policy => policy.segments.length > 1
+            && (policy.segments[0] === '**' || matchesPattern(policy.segments.slice(0, 1), [key])));
     }
 
     registerDefaultStrategies() {
@@ -52,6 +172,11 @@ class SrvraConflictResolver {
         this.customStrategies.set('client-wins', this.clientWinsStrategy.bind(this));
         this.customStrategies.set('last-write-wins', this.lastWriteWinsStrategy.bind(this));
         this.customStrategies.set('auto-merge', this.autoMergeStrategy.bind(this));
+        this.customStrategies.set('three-way-merge', this.threeWayMergeStrategy.bind(this));
+        this.customStrategies.set('field-level', this.fieldLevelStrategy.bind(this));
+        this.customStrategies.set('timestamp-based', this.timestampBasedStrategy.bind(this));
+        this.customStrategies.set('smart-merge', this.smartMergeStrategy.bind(this));
+        this.customStrategies.set('manual-resolve', this.manualResolveStrategy.bind(this));
     }
 
     setupMergeRules() {
@@ -66,21 +191,67 @@ class SrvraConflictResolver {
         this.mergeRules.set('string', this.mergeStrings.bind(this));
     }
 
-    resolveConflict(conflict) {
+    /**
+     * Strategies may return promises. Each strategy gets up to `maxRetries`
+     * attempts, each bounded by `attemptTimeout`; after that the next strategy
+     * in `fallbackStrategies` is tried.
+     */
+    async resolveConflict(conflict) {
+        const initialStrategy = this.determineStrategy(conflict);
         const resolution = {
             originalConflict: conflict,
             timestamp: Date.now(),
-            strategy: this.determineStrategy(conflict),
-            attempts: 0
+            strategy: initialStrategy,
+            attempts: 0,
+            errors: []
         };
 
-        try {
-            resolution.result = this.applyStrategy(resolution);
-            this.trackResolution(resolution);
-            return resolution.result;
-        } catch (error) {
-            return this.handleResolutionError(resolution, error);
+        const chain = [...new Set([initialStrategy, ...this.config.fallbackStrategies])];
+
+        for (const strategy of chain) {
+            resolution.strategy = strategy;
+
+            for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+                resolution.attempts++;
+
+                try {
+                    resolution.result = await this.runAttempt(resolution);
+                    await this.scoreResolution(resolution);
+                    if (strategy !== initialStrategy) {
+                        resolution.fallbackFrom = initialStrategy;
+                    }
+                    this.trackResolution(resolution);
+                    return resolution.result;
+                } catch (error) {
+                    resolution.errors.push({ strategy, attempt, error });
+
+                    // Unknown strategies and the like will not succeed on retry
+                    if (error.retryable === false) break;
+                }
+            }
+        }
+
+        return this.handleResolutionError(resolution);
+    }
+
+    runAttempt(resolution) {
+        const attempt = this.applyStrategy(resolution);
+
+        // Manual resolution waits on a person, so it is not timed out
+        if (!(this.config.attemptTimeout > 0) || resolution.strategy === 'manual-resolve') {
+            return attempt;
         }
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Strategy ${resolution.strategy} timed out after ${this.config.attemptTimeout}ms`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, this.config.attemptTimeout);
+        });
+
+        return Promise.race([attempt, timeout]).finally(() => clearTimeout(timer));
     }
 
     determineStrategy(conflict) {
@@ -88,6 +259,16 @@ class SrvraConflictResolver {
             return conflict.forcedStrategy;
         }
 
+        const key = this.getConflictKey(conflict);
+        const policy = key !== undefined && this.findPolicy([key]);
+        if (policy && typeof policy.strategy === 'string') {
+            return policy.strategy;
+        }
+
+        if (this.config.threeWayMerge && conflict.hasBase) {
+            return 'three-way-merge';
+        }
+
         if (conflict.dataType && this.mergeRules.has(conflict.dataType)) {
             return 'auto-merge';
         }
@@ -95,13 +276,185 @@ class SrvraConflictResolver {
         return this.config.defaultStrategy;
     }
 
-    applyStrategy(resolution) {
-        const strategy = this.customStrategies.get(resolution.strategy);
+    async applyStrategy(resolution) {
+        const conflict = resolution.originalConflict;
+        const key = this.getConflictKey(conflict);
+        const policy = !conflict.forcedStrategy && key !== undefined && this.findPolicy([key]);
+
+        const strategy = policy && typeof policy.strategy === 'function'
+            ? policy.strategy
+            : this.customStrategies.get(resolution.strategy);
         if (!strategy) {
-            throw new Error(`Unknown resolution strategy: ${resolution.strategy}`);
+            const error = new Error(`Unknown resolution strategy: ${resolution.strategy}`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const result = await strategy(conflict);
+        if (!result || typeof result !== 'object') {
+            throw new Error(`Strategy ${resolution.strategy} did not return a resolution`);
+        }
+
+        return conflict.forcedStrategy ? result : this.applyPathPolicies(conflict, result);
+    }
+
+    /**
+     * Rates how safe an automatic resolution is, from 0 to 1. Leaf changes made
+     * on only one side are safe; leaves changed on both sides lose a write.
+     * Values of different types halve the score. Below `autoResolveThreshold`
+     * the result is flagged `lowConfidence`, or handed to `onManualResolve`
+     * when `lowConfidenceAction` is 'escalate'. Strategies chosen explicitly,
+     * by `forcedStrategy` or a policy, are never flagged or escalated.
+     */
+    async scoreResolution(resolution) {
+        const conflict = resolution.originalConflict;
+        const confidence = resolution.strategy === 'manual-resolve' ? 1 : this.calculateConfidence(conflict);
+        const lowConfidence = !this.isExplicitChoice(resolution) && confidence < this.config.autoResolveThreshold;
+
+        if (lowConfidence && this.config.lowConfidenceAction === 'escalate'
+            && typeof this.config.onManualResolve === 'function') {
+            resolution.escalatedFrom = resolution.strategy;
+            resolution.strategy = 'manual-resolve';
+            resolution.result = await this.manualResolveStrategy(conflict);
+        } else {
+            resolution.result.confidence = confidence;
+            if (lowConfidence) resolution.result.lowConfidence = true;
+        }
+
+        resolution.confidence = confidence;
+    }
+
+    isExplicitChoice(resolution) {
+        const conflict = resolution.originalConflict;
+        if (conflict.forcedStrategy) return true;
+        if (resolution.result.metadata && resolution.result.metadata.policies) return true;
+
+        // A fallback after the policy's strategy failed was not the app's choice
+        const key = this.getConflictKey(conflict);
+        const policy = key !== undefined && this.findPolicy([key]);
+        return Boolean(policy)
+            && (typeof policy.strategy === 'function' || policy.strategy === resolution.strategy);
+    }
+
+    calculateConfidence(conflict) {
+        const { serverValue, clientValue } = conflict;
+        if (isSameValue(serverValue, clientValue)) return 1;
+
+        const typeScore = dataTypeOf(serverValue) === dataTypeOf(clientValue) ? 1 : 0.5;
+        const { changed, overlapping } = this.countLeafChanges(
+            conflict.baseValue,
+            serverValue,
+            clientValue,
+            Boolean(conflict.hasBase)
+        );
+        const fieldScore = changed === 0 ? 1 : 1 - overlapping / changed;
+
+        return Math.round(fieldScore * typeScore * 100) / 100;
+    }
+
+    countLeafChanges(base, server, client, hasBase, counts = { changed: 0, overlapping: 0 }) {
+        if (isSameValue(server, client)) return counts;
+
+        if (isPlainObject(server) && isPlainObject(client)) {
+            const baseObj = isPlainObject(base) ? base : {};
+            new Set([...Object.keys(server), ...Object.keys(client)]).forEach(field => {
+                this.countLeafChanges(baseObj[field], server[field], client[field], hasBase && isPlainObject(base), counts);
+            });
+            return counts;
+        }
+
+        // Without a base, a field present on only one side is an addition
+        const oneSided = hasBase
+            ? isSameValue(base, server) || isSameValue(base, client)
+            : server === undefined || client === undefined;
+
+        counts.changed++;
+        if (!oneSided) counts.overlapping++;
+        return counts;
+    }
+
+    getConflictKey(conflict) {
+        return conflict.key ?? (conflict.metadata && conflict.metadata.key);
+    }
+
+    getArrayIdField(conflict) {
+        return conflict.arrayIdField || this.config.arrayIdFields[this.getConflictKey(conflict)];
+    }
+
+    /**
+     * Re-resolves the parts of an object value that have their own policy and
+     * writes them over the key-level result.
+     */
+    async applyPathPolicies(conflict, result) {
+        const key = this.getConflictKey(conflict);
+        if (key === undefined || !this.hasPathPolicies(key) || !isPlainObject(result.value)) {
+            return result;
+        }
+
+        const value = JSON.parse(JSON.stringify(result.value));
+        const policies = {};
+
+        const visit = async (server, client, base, target, path) => {
+            for (const field of new Set([...Object.keys(server), ...Object.keys(client)])) {
+                const fieldPath = [...path, field];
+                const policy = this.findPolicy([key, ...fieldPath]);
+
+                if (policy) {
+                    const fieldConflict = this.createFieldConflict(conflict, fieldPath, server[field], client[field], base);
+                    const strategy = typeof policy.strategy === 'function'
+                        ? policy.strategy
+                        : this.customStrategies.get(policy.strategy);
+                    const fieldValue = (await strategy(fieldConflict)).value;
+
+                    if (fieldValue === undefined) {
+                        delete target[field];
+                    } else {
+                        target[field] = fieldValue;
+                    }
+                    policies[fieldPath.join('.')] = policy.pattern;
+                } else if (isPlainObject(server[field]) && isPlainObject(client[field]) && isPlainObject(target[field])) {
+                    await visit(server[field], client[field], isPlainObject(base) ? base[field] : undefined, target[field], fieldPath);
+                }
+            }
+        };
+
+        if (isPlainObject(conflict.serverValue) && isPlainObject(conflict.clientValue)) {
+            await visit(conflict.serverValue, conflict.clientValue, conflict.baseValue, value, []);
         }
 
-        return strategy(resolution.originalConflict);
+        if (Object.keys(policies).length === 0) return result;
+
+        return {
+            ...result,
+            value,
+            source: 'merged',
+            metadata: { ...result.metadata, policies }
+        };
+    }
+
+    createFieldConflict(conflict, fieldPath, serverValue, clientValue, base) {
+        const prefix = `${fieldPath.join('.')}.`;
+
+        // Field timestamps are re-rooted at the field
+        const scopeTimestamps = timestamps => timestamps && Object.fromEntries(
+            Object.entries(timestamps)
+                .filter(([path]) => path.startsWith(prefix))
+                .map(([path, timestamp]) => [path.slice(prefix.length), timestamp])
+        );
+        const fieldTimestamp = (timestamps, fallback) => (timestamps && timestamps[fieldPath.join('.')]) ?? fallback;
+
+        return {
+            ...conflict,
+            serverValue,
+            clientValue,
+            baseValue: isPlainObject(base) ? base[fieldPath[fieldPath.length - 1]] : undefined,
+            hasBase: conflict.hasBase && isPlainObject(base),
+            serverTimestamp: fieldTimestamp(conflict.serverFieldTimestamps, conflict.serverTimestamp),
+            clientTimestamp: fieldTimestamp(conflict.clientFieldTimestamps, conflict.clientTimestamp),
+            serverFieldTimestamps: scopeTimestamps(conflict.serverFieldTimestamps),
+            clientFieldTimestamps: scopeTimestamps(conflict.clientFieldTimestamps),
+            dataType: dataTypeOf(serverValue)
+        };
     }
 
     serverWinsStrategy(conflict) {
@@ -129,23 +482,332 @@ class SrvraConflictResolver {
             : this.clientWinsStrategy(conflict);
     }
 
+    /**
+     * Picks the whole value from the side with the most recent write, taking
+     * per-field timestamps into account.
+     */
+    timestampBasedStrategy(conflict) {
+        const serverTime = this.latestTimestamp(conflict, 'server');
+        const clientTime = this.latestTimestamp(conflict, 'client');
+        const resolution = serverTime >= clientTime
+            ? this.serverWinsStrategy(conflict)
+            : this.clientWinsStrategy(conflict);
+
+        return {
+            ...resolution,
+            metadata: {
+                ...resolution.metadata,
+                strategy: 'timestamp-based',
+                timestamps: { server: serverTime, client: clientTime }
+            }
+        };
+    }
+
+    /**
+     * Merges objects leaf by leaf; each differing field takes the value with
+     * the newer field timestamp.
+     */
+    fieldLevelStrategy(conflict) {
+        const { serverValue, clientValue } = conflict;
+        if (!isPlainObject(serverValue) || !isPlainObject(clientValue)) {
+            return this.timestampBasedStrategy(conflict);
+        }
+
+        const fields = { server: [], client: [] };
+        const value = this.mergeFields(serverValue, clientValue, conflict, [], fields);
+
+        return {
+            value,
+            source: 'merged',
+            metadata: { strategy: 'field-level', fields }
+        };
+    }
+
+    mergeFields(serverObj, clientObj, conflict, path, fields) {
+        const merged = {};
+
+        new Set([...Object.keys(serverObj), ...Object.keys(clientObj)]).forEach(field => {
+            const fieldPath = [...path, field];
+            const serverField = serverObj[field];
+            const clientField = clientObj[field];
+            let value;
+
+            if (isPlainObject(serverField) && isPlainObject(clientField)) {
+                value = this.mergeFields(serverField, clientField, conflict, fieldPath, fields);
+            } else if (isSameValue(serverField, clientField)) {
+                value = serverField;
+            } else {
+                const side = this.newerSide(conflict, fieldPath, serverField, clientField);
+                fields[side].push(fieldPath.join('.'));
+                value = side === 'server' ? serverField : clientField;
+            }
+
+            if (value !== undefined) {
+                merged[field] = value;
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Deep merge by data type. Uses the common ancestor when available, merges
+     * nested objects and arrays, and settles remaining clashes by field timestamps.
+     */
+    smartMergeStrategy(conflict) {
+        const conflicts = [];
+        const value = this.smartMergeValue(
+            conflict.baseValue,
+            conflict.serverValue,
+            conflict.clientValue,
+            conflict,
+            [],
+            conflicts
+        );
+
+        return {
+            value,
+            source: 'merged',
+            metadata: { strategy: 'smart-merge', conflicts }
+        };
+    }
+
+    smartMergeValue(base, server, client, conflict, path, conflicts) {
+        if (isSameValue(server, client)) return server;
+
+        if (conflict.hasBase) {
+            if (isSameValue(base, server)) return client;
+            if (isSameValue(base, client)) return server;
+        }
+
+        if (isPlainObject(server) && isPlainObject(client)) {
+            const merged = {};
+            const baseObj = isPlainObject(base) ? base : {};
+
+            new Set([...Object.keys(server), ...Object.keys(client)]).forEach(field => {
+                const value = this.smartMergeValue(
+                    baseObj[field],
+                    server[field],
+                    client[field],
+                    { ...conflict, hasBase: conflict.hasBase && isPlainObject(base) },
+                    [...path, field],
+                    conflicts
+                );
+
+                if (value !== undefined) {
+                    merged[field] = value;
+                }
+            });
+
+            return merged;
+        }
+
+        if (Array.isArray(server) && Array.isArray(client) && this.mergeRules.has('array')) {
+            return this.mergeRules.get('array')(server, client, {
+                ...conflict,
+                baseValue: base,
+                hasBase: conflict.hasBase && Array.isArray(base)
+            }).value;
+        }
+
+        const side = this.newerSide(conflict, path, server, client);
+        if (server !== undefined && client !== undefined) {
+            conflicts.push(path.join('.'));
+        }
+        return side === 'server' ? server : client;
+    }
+
+    async manualResolveStrategy(conflict) {
+        if (typeof this.config.onManualResolve !== 'function') {
+            const error = new Error('manual-resolve requires an onManualResolve handler');
+            error.retryable = false;
+            throw error;
+        }
+
+        const value = await this.config.onManualResolve(conflict);
+        return {
+            value,
+            source: 'manual',
+            metadata: { strategy: 'manual-resolve' }
+        };
+    }
+
+    /**
+     * Timestamp of the closest recorded ancestor of `path`, falling back to the
+     * timestamp of the whole value.
+     */
+    fieldTimestamp(conflict, side, path) {
+        const timestamps = conflict[`${side}FieldTimestamps`] || {};
+
+        for (let length = path.length; length > 0; length--) {
+            const timestamp = timestamps[path.slice(0, length).join('.')];
+            if (timestamp !== undefined) return timestamp;
+        }
+
+        return conflict[`${side}Timestamp`] || 0;
+    }
+
+    latestTimestamp(conflict, side) {
+        const timestamps = Object.values(conflict[`${side}FieldTimestamps`] || {});
+        return Math.max(conflict[`${side}Timestamp`] || 0, ...timestamps);
+    }
+
+    newerSide(conflict, path, serverValue, clientValue) {
+        // A field missing on one side without a recorded deletion was never there
+        const recorded = side => path.length > 0
+            && (conflict[`${side}FieldTimestamps`] || {})[path.join('.')] !== undefined;
+
+        if (serverValue === undefined && !recorded('server')) return 'client';
+        if (clientValue === undefined && !recorded('client')) return 'server';
+
+        return this.fieldTimestamp(conflict, 'client', path) > this.fieldTimestamp(conflict, 'server', path)
+            ? 'client'
+            : 'server';
+    }
+
     autoMergeStrategy(conflict) {
         const mergeRule = this.mergeRules.get(conflict.dataType);
+        if (!mergeRule) {
+            return this.lastWriteWinsStrategy(conflict);
+        }
+
         return mergeRule(conflict.serverValue, conflict.clientValue, conflict);
     }
 
+    /**
+     * Merges against the value both sides diverged from (`conflict.baseValue`).
+     * Only fields changed on both sides to different values are true conflicts;
+     * those fall back to last-write-wins.
+     */
+    threeWayMergeStrategy(conflict) {
+        if (!conflict.hasBase) {
+            return conflict.dataType && this.mergeRules.has(conflict.dataType)
+                ? this.autoMergeStrategy(conflict)
+                : this.lastWriteWinsStrategy(conflict);
+        }
+
+        const conflicts = [];
+        const value = this.mergeThreeWay(
+            conflict.baseValue,
+            conflict.serverValue,
+            conflict.clientValue,
+            conflict,
+            [],
+            conflicts
+        );
+
+        return {
+            value,
+            source: 'merged',
+            metadata: {
+                strategy: 'three-way-merge',
+                conflicts
+            }
+        };
+    }
+
+    mergeThreeWay(base, server, client, conflict, path, conflicts) {
+        if (isSameValue(server, client)) return server;
+        if (isSameValue(base, server)) return client;
+        if (isSameValue(base, client)) return server;
+
+        if (isPlainObject(base) && isPlainObject(server) && isPlainObject(client)) {
+            const merged = {};
+            const fields = new Set([...Object.keys(base), ...Object.keys(server), ...Object.keys(client)]);
+
+            fields.forEach(field => {
+                const value = this.mergeThreeWay(
+                    base[field],
+                    server[field],
+                    client[field],
+                    conflict,
+                    [...path, field],
+                    conflicts
+                );
+
+                // Fields removed on the winning side stay removed
+                if (value !== undefined) {
+                    merged[field] = value;
+                }
+            });
+
+            return merged;
+        }
+
+        if (Array.isArray(base) && Array.isArray(server) && Array.isArray(client)) {
+            return this.mergeArrayItems(base, server, client, conflict, path, conflicts);
+        }
+
+        conflicts.push(path.join('.'));
+        return this.lastWriteWinsStrategy({ ...conflict, serverValue: server, clientValue: client }).value;
+    }
+
     mergeArrays(serverArray, clientArray, conflict) {
-        const merged = [...new Set([...serverArray, ...clientArray])];
+        const conflicts = [];
+        const base = conflict.hasBase && Array.isArray(conflict.baseValue) ? conflict.baseValue : undefined;
+        const merged = this.mergeArrayItems(base, serverArray, clientArray, conflict, [], conflicts);
+
         return {
             value: merged,
             source: 'merged',
             metadata: { 
                 originalLength: { server: serverArray.length, client: clientArray.length },
-                mergedLength: merged.length
+                mergedLength: merged.length,
+                idField: this.getArrayIdField(conflict),
+                conflicts
             }
         };
     }
 
+    /**
+     * Matches items by identity (see `arrayIdFields`) and keeps the server order.
+     * With a base, an item either side removed stays removed; without one the
+     * arrays are unioned. Client additions follow the item they came after on
+     * the client, and items changed on both sides merge field by field.
+     */
+    mergeArrayItems(base, server, client, conflict, path, conflicts) {
+        const idField = this.getArrayIdField(conflict);
+        const baseKeys = base ? identityKeys(base, idField) : [];
+        const serverKeys = identityKeys(server, idField);
+        const clientKeys = identityKeys(client, idField);
+
+        const baseItems = new Map(baseKeys.map((key, index) => [key, base[index]]));
+        const clientItems = new Map(clientKeys.map((key, index) => [key, client[index]]));
+        const serverSet = new Set(serverKeys);
+
+        const merged = [];
+        serverKeys.forEach((key, index) => {
+            if (!clientItems.has(key)) {
+                if (!baseItems.has(key)) merged.push({ key, value: server[index] });
+                return;
+            }
+
+            const label = idField && isPlainObject(server[index]) ? server[index][idField] : index;
+            merged.push({
+                key,
+                value: this.mergeThreeWay(
+                    baseItems.get(key),
+                    server[index],
+                    clientItems.get(key),
+                    conflict,
+                    [...path, String(label)],
+                    conflicts
+                )
+            });
+        });
+
+        clientKeys.forEach((key, index) => {
+            if (serverSet.has(key) || baseItems.has(key)) return;
+
+            const previous = clientKeys.slice(0, index).reverse()
+                .map(clientKey => merged.findIndex(entry => entry.key === clientKey))
+                .find(position => position !== -1);
+            merged.splice(previous === undefined ? 0 : previous + 1, 0, { key, value: client[index] });
+        });
+
+        return merged.map(entry => entry.value);
+    }
+
     mergeObjects(serverObj, clientObj, conflict) {
         const merged = {
             ...serverObj,
@@ -181,48 +843,144 @@ class SrvraConflictResolver {
         this.mergeRules.set(dataType, ruleFn);
     }
 
+    /**
+     * Appends to the audit log, keeping the newest `historySize` entries.
+     * Entries are plain JSON so they can be exported as-is.
+     */
     trackResolution(resolution) {
         if (!this.config.trackHistory) return;
 
+        const result = resolution.result || {};
+        const conflict = resolution.originalConflict || {};
+
         this.conflictHistory.push({
+            id: resolution.id || this.generateResolutionId(),
             timestamp: resolution.timestamp,
+            key: this.getConflictKey(conflict),
             strategy: resolution.strategy,
+            outcome: resolution.outcome || (resolution.escalatedFrom ? 'escalated' : 'resolved'),
+            source: result.source,
+            escalatedFrom: resolution.escalatedFrom,
+            fallbackFrom: resolution.fallbackFrom,
+            attempts: resolution.attempts,
+            confidence: resolution.confidence,
+            lowConfidence: Boolean(result.lowConfidence),
+            errors: resolution.errors && resolution.errors.length > 0
+                ? resolution.errors.map(({ strategy, attempt, error }) => ({ strategy, attempt, message: error.message }))
+                : undefined,
             result: resolution.result,
-            conflict: resolution.originalConflict
+            conflict
         });
 
-        if (this.conflictHistory.length > this.config.maxHistoryLength) {
-            this.conflictHistory.shift();
-        }
+        this.trimHistory();
     }
 
-    handleResolutionError(resolution, error) {
-        resolution.attempts++;
-        
-        if (resolution.attempts < this.config.maxRetries) {
-            return this.resolveConflict(resolution.originalConflict);
+    trimHistory() {
+        const overflow = this.conflictHistory.length - this.config.historySize;
+        if (overflow > 0) {
+            this.conflictHistory.splice(0, overflow);
         }
+    }
 
-        throw new Error(`Failed to resolve conflict after ${resolution.attempts} attempts`);
+    handleResolutionError(resolution) {
+        const lastError = resolution.errors.length > 0
+            ? resolution.errors[resolution.errors.length - 1].error
+            : undefined;
+
+        this.trackResolution({ ...resolution, outcome: 'failed' });
+
+        const error = new Error(`Failed to resolve conflict after ${resolution.attempts} attempts`);
+        error.cause = lastError;
+        error.errors = resolution.errors;
+        throw error;
     }
 
+    /**
+     * Filters: `key`, `strategy` and `outcome` (a value or an array of values),
+     * `source`, `since`/`until` timestamps, `lowConfidence` and `limit` (newest entries).
+     */
     getResolutionHistory(filter = {}) {
-        return this.conflictHistory.filter(resolution => {
-            if (filter.strategy && resolution.strategy !== filter.strategy) return false;
+        const matches = (value, expected) => expected === undefined
+            || (Array.isArray(expected) ? expected.includes(value) : value === expected);
+
+        const entries = this.conflictHistory.filter(resolution => {
+            if (!matches(resolution.key, filter.key)) return false;
+            if (!matches(resolution.strategy, filter.strategy)) return false;
+            if (!matches(resolution.outcome, filter.outcome)) return false;
+            if (!matches(resolution.source, filter.source)) return false;
             if (filter.since && resolution.timestamp < filter.since) return false;
+            if (filter.until && resolution.timestamp > filter.until) return false;
+            if (filter.lowConfidence !== undefined && resolution.lowConfidence !== filter.lowConfidence) return false;
             return true;
         });
+
+        return filter.limit ? entries.slice(-filter.limit) : entries;
+    }
+
+    /**
+     * Exports the audit log as JSON lines, one resolution per line.
+     */
+    exportHistory(filter = {}) {
+        return this.getResolutionHistory(filter)
+            .map(resolution => JSON.stringify(resolution))
+            .join('\n');
+    }
+
+    /**
+     * Imports JSON lines produced by exportHistory. Entries already present are
+     * skipped; the log stays ordered by timestamp and bounded by historySize.
+     */
+    importHistory(jsonLines) {
+        const entries = String(jsonLines)
+            .split('\n')
+            .map((line, index) => [line.trim(), index + 1])
+            .filter(([line]) => line !== '')
+            .map(([line, lineNumber]) => {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid conflict history entry on line ${lineNumber}: ${error.message}`);
+                }
+
+                if (!entry || typeof entry.timestamp !== 'number' || typeof entry.strategy !== 'string') {
+                    throw new Error(`Invalid conflict history entry on line ${lineNumber}`);
+                }
+                return entry;
+            });
+
+        const knownIds = new Set(this.conflictHistory.map(resolution => resolution.id));
+        const added = entries.filter(entry => !entry.id || !knownIds.has(entry.id));
+
+        this.conflictHistory = [...this.conflictHistory, ...added]
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this.trimHistory();
+
+        return added.length;
+    }
+
+    clearHistory() {
+        this.conflictHistory = [];
     }
 
     getStatistics() {
         return {
             totalResolutions: this.conflictHistory.length,
             strategyCounts: this.getStrategyCounts(),
+            averageConfidence: this.getAverageConfidence(),
+            lowConfidenceResolutions: this.conflictHistory.filter(resolution => resolution.lowConfidence).length,
             customStrategies: this.customStrategies.size,
             mergeRules: this.mergeRules.size
         };
     }
 
+    getAverageConfidence() {
+        const scored = this.conflictHistory.filter(resolution => resolution.confidence !== undefined);
+        if (scored.length === 0) return null;
+
+        return scored.reduce((total, resolution) => total + resolution.confidence, 0) / scored.length;
+    }
+
     getStrategyCounts() {
         return this.conflictHistory.reduce((counts, resolution) => {
             counts[resolution.strategy] = (counts[resolution.strategy] || 0) + 1;
@@ -230,10 +988,15 @@ class SrvraConflictResolver {
         }, {});
     }
 
+    generateResolutionId() {
+        return `res_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     destroy() {
         this.conflictHistory = [];
         this.mergeRules.clear();
         this.customStrategies.clear();
+        this.policies = [];
     }
 }
 
@@ -29,7 +29,31 @@
 import SrvraEventBus from '/js/srvra-sync/src/events/SrvraEventBus.js';
 import SrvraStateManager from '/js/srvra-sync/src/state/SrvraStateManager.js';
 import SrvraConflictResolver from '/js/srvra-sync/src/sync/SrvraConflictResolver.js';
+import {
+    SrvraHttpTransport,
+    SrvraWebSocketTransport,
+    SrvraLoopbackTransport
+} from '/js/srvra-sync/src/sync/SrvraTransport.js';
+import { SrvraOutbox } from '/js/srvra-sync/src/sync/SrvraOutbox.js';
+import { SrvraCompressor } from '/js/srvra-sync/src/sync/SrvraCompressor.js';
+import {
+    SrvraMemoryStorage,
+    SrvraIndexedDBStorage
+} from '/js/srvra-sync/src/storage/SrvraStorage.js';
+import { SrvraVersionVector } from '/js/srvra-sync/src/state/SrvraVersionVector.js';
+import { SrvraJsonPatch } from '/js/srvra-sync/src/state/SrvraJsonPatch.js';
+import { SrvraSnapshot } from '/js/srvra-sync/src/state/SrvraSnapshot.js';
+import { SrvraStateTypes, SrvraCausalityTypes, SrvraConflictTypes } from '/js/srvra-sync/src/types.js';
 
+const SYNC_STATUS_TRANSITIONS = {
+    [SrvraStateTypes.INITIAL]: [SrvraStateTypes.SYNCING, SrvraStateTypes.RECONNECTING, SrvraStateTypes.OFFLINE],
+    [SrvraStateTypes.SYNCING]: [SrvraStateTypes.SYNCED, SrvraStateTypes.PARTIAL_SYNC, SrvraStateTypes.ERROR, SrvraStateTypes.OFFLINE],
+    [SrvraStateTypes.SYNCED]: [SrvraStateTypes.SYNCING, SrvraStateTypes.OFFLINE],
+    [SrvraStateTypes.PARTIAL_SYNC]: [SrvraStateTypes.SYNCING, SrvraStateTypes.OFFLINE],
+    [SrvraStateTypes.ERROR]: [SrvraStateTypes.SYNCING, SrvraStateTypes.OFFLINE],
+    [SrvraStateTypes.OFFLINE]: [SrvraStateTypes.RECONNECTING],
+    [SrvraStateTypes.RECONNECTING]: [SrvraStateTypes.SYNCING, SrvraStateTypes.SYNCED, SrvraStateTypes.ERROR, SrvraStateTypes.OFFLINE]
+};
 
 class SrvraDataSync {
     constructor(config = {}) {
@@ -38,28 +62,475 @@ class SrvraDataSync {
             retryAttempts: config.retryAttempts || 3,
             batchSize: config.batchSize || 100,
             enableDeltaUpdates: config.enableDeltaUpdates || true,
+            reconnectInterval: config.reconnectInterval || 5000,
+            networkTimeout: config.networkTimeout || 10000,
+            retryDelay: config.retryDelay || 1000,
+            maxRetryDelay: config.maxRetryDelay || 30000,
+            maxDeadLetters: config.maxDeadLetters || 100,
+            maxConcurrentBatches: config.maxConcurrentBatches || 5,
+            priorityLevels: config.priorityLevels || ['critical', 'high', 'normal', 'low'],
+            priorityDelays: config.priorityDelays || { critical: 0, high: 1000 },
+            compressionThreshold: config.compressionThreshold ?? 1024,
+            compressionEncoding: config.compressionEncoding || 'gzip',
+            manualConflictKeys: config.manualConflictKeys || [],
+            arrayIdFields: config.arrayIdFields || {},
             ...config
         };
 
         this.eventBus = new SrvraEventBus();
-        this.stateManager = new SrvraStateManager();
+        this.stateManager = new SrvraStateManager({
+            nodeId: this.config.nodeId,
+            crdts: this.config.crdts,
+            migrations: this.config.migrations,
+            ...(this.config.schemaVersion !== undefined && { schemaVersion: this.config.schemaVersion }),
+            newerSchemaAction: this.config.newerSchemaAction,
+            onSchemaMismatch: mismatch => this.eventBus.publish('schema-mismatch', {
+                ...mismatch,
+                timestamp: Date.now()
+            }),
+            persistence: this.config.persistence && {
+                onError: error => this.handleSyncError(error, { persistence: true }),
+                ...(this.config.persistence === true ? {} : this.config.persistence)
+            }
+        });
         this.conflictResolver = new SrvraConflictResolver({
             trackHistory: true,
-            maxRetries: this.config.retryAttempts
+            maxRetries: this.config.retryAttempts,
+            arrayIdFields: this.config.arrayIdFields,
+            ...this.config.conflict,
+            ...(this.config.mergeStrategy && { defaultStrategy: this.config.mergeStrategy }),
+            ...(this.config.conflictPolicies && { policies: this.config.conflictPolicies }),
+            ...(this.config.autoResolveThreshold !== undefined && { autoResolveThreshold: this.config.autoResolveThreshold }),
+            ...(this.config.lowConfidenceAction && { lowConfidenceAction: this.config.lowConfidenceAction })
         });
+        this.transport = this.createTransport();
+        this.compressor = new SrvraCompressor({ encoding: this.config.compressionEncoding });
+        this.compressionStats = {
+            compressedBatches: 0,
+            uncompressedBatches: 0,
+            originalBytes: 0,
+            compressedBytes: 0,
+            bytesSaved: 0
+        };
 
-        this.syncQueue = [];
+        this.syncQueue = new SrvraOutbox({
+            storage: this.createOutboxStorage(),
+            onError: error => this.handleSyncError(error)
+        });
         this.pendingSync = new Map();
+        this.deadLetters = [];
+        this.pendingConflicts = new Map();
+        this.serverValues = new Map();
+        this.keyOwners = new Map();
+        this.sendingKeys = new Set();
+        this.flushTimers = new Map();
+        this.flushRequested = null;
         this.lastSyncTimestamp = null;
+        this.status = SrvraStateTypes.INITIAL;
+        this.online = true;
+        this.reconnectTimer = null;
+        this.networkListeners = [];
         
         this.init();
     }
     
     init() {
         this.setupEventListeners();
+        this.trackLocalChanges();
+        this.setupNetworkMonitoring();
+        this.connectTransport();
+        this.ready = this.rehydrateState();
+        this.restoreOutbox();
         this.startSyncInterval();
     }
 
+    /**
+     * Loads persisted state before the outbox is replayed or anything is synced.
+     */
+    async rehydrateState() {
+        if (!this.config.persistence) return;
+
+        // Lets callers subscribe after construction before the first event
+        await Promise.resolve();
+
+        this.eventBus.publish('rehydrate-start', { timestamp: Date.now() });
+
+        try {
+            const result = await this.stateManager.rehydrate();
+            this.eventBus.publish('rehydrate-complete', {
+                ...result,
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            this.handleSyncError(error, { rehydrate: true });
+        }
+    }
+
+    setupNetworkMonitoring() {
+        this.transport.on('close', () => this.goOffline());
+        this.transport.on('open', () => this.reconnect({ connected: true }));
+
+        if (typeof globalThis.addEventListener !== 'function') return;
+
+        const onOnline = () => this.reconnect();
+        const onOffline = () => this.goOffline();
+
+        globalThis.addEventListener('online', onOnline);
+        globalThis.addEventListener('offline', onOffline);
+        this.networkListeners.push(['online', onOnline], ['offline', onOffline]);
+
+        if (globalThis.navigator && globalThis.navigator.onLine === false) {
+            this.goOffline();
+        }
+    }
+
+    createOutboxStorage() {
+        if (this.config.outboxStorage) {
+            return this.config.outboxStorage;
+        }
+
+        return globalThis.indexedDB
+            ? new SrvraIndexedDBStorage()
+            : new SrvraMemoryStorage();
+    }
+
+    trackLocalChanges() {
+        this.stateManager.subscribe('*', (value, update) => {
+            const updates = update.type === 'transaction' ? update.updates : [update];
+            const local = updates.filter(item => item.source === 'client');
+            if (local.length === 0) return;
+
+            // A transaction is flushed together, at its most urgent priority, counting
+            // the urgency a member key already has in the queue
+            const priority = local
+                .flatMap(item => {
+                    const queued = this.syncQueue.entries.get(item.key);
+                    return queued ? [item.priority, queued.priority] : [item.priority];
+                })
+                .map(itemPriority => this.normalizePriority(itemPriority))
+                .sort((a, b) => this.getPriorityRank(a) - this.getPriorityRank(b))[0];
+
+            local.forEach(item => this.enqueueChange({
+                key: item.key,
+                value: item.value,
+                version: item.keyVersion,
+                vector: item.vector,
+                crdt: item.crdt,
+                fieldTimestamps: item.fieldTimestamps,
+                schemaVersion: item.schemaVersion,
+                deleted: item.deleted,
+                nodeId: item.nodeId,
+                timestamp: item.timestamp,
+                priority: update.type === 'transaction' ? priority : item.priority,
+                transaction: local.length > 1 ? item.transaction : undefined
+            }));
+        });
+    }
+
+    enqueueChange(change) {
+        const queued = this.syncQueue.entries.get(change.key);
+        let priority = this.normalizePriority(change.priority);
+
+        // A superseded urgent change keeps its urgency for the newer value
+        if (queued && this.getPriorityRank(queued.priority) < this.getPriorityRank(priority)) {
+            priority = queued.priority;
+        }
+
+        const entry = this.syncQueue.enqueue({ ...change, priority });
+        this.schedulePriorityFlush(priority);
+        return entry;
+    }
+
+    normalizePriority(priority) {
+        return this.config.priorityLevels.includes(priority) ? priority : 'normal';
+    }
+
+    getPriorityRank(priority) {
+        const rank = this.config.priorityLevels.indexOf(priority);
+        return rank === -1 ? this.config.priorityLevels.indexOf('normal') : rank;
+    }
+
+    schedulePriorityFlush(priority) {
+        const delay = this.config.priorityDelays[priority];
+
+        // Priorities without a delay wait for the regular sync interval
+        if (delay === undefined || delay === null) return;
+        if (this.flushTimers.has(priority)) return;
+
+        this.flushTimers.set(priority, setTimeout(() => {
+            this.flushTimers.delete(priority);
+            this.sync({ priority });
+        }, delay));
+    }
+
+    async restoreOutbox() {
+        try {
+            await this.ready;
+            const entries = await this.syncQueue.load();
+            if (this.destroyed || entries.length === 0) return;
+
+            entries.forEach(entry => {
+                // Edits queued under an older schema are migrated before they are sent
+                const upgraded = this.stateManager.upgradeValue(entry.key, entry.value, entry.schemaVersion, 'outbox');
+                if (upgraded.quarantined || upgraded.rejected) {
+                    this.syncQueue.remove(entry.key);
+                    return;
+                }
+                if (upgraded.migrated) {
+                    this.syncQueue.update(entry.key, {
+                        value: upgraded.value,
+                        schemaVersion: this.stateManager.getSchemaVersion()
+                    });
+                }
+
+                // Queued edits are the newest known values for keys not yet loaded
+                if (!this.stateManager.state.has(entry.key)) {
+                    this.stateManager.setState(entry.key, upgraded.value, { source: 'outbox' });
+                }
+            });
+
+            if (this.syncQueue.size === 0) return;
+
+            if (this.status === SrvraStateTypes.INITIAL) {
+                this.setStatus(SrvraStateTypes.RECONNECTING);
+                await this.sync();
+            }
+        } catch (error) {
+            this.handleSyncError(error);
+        }
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    setStatus(status) {
+        // Late results of a sync in flight must not restart timers after destroy()
+        if (this.destroyed) return false;
+        if (this.status === status) return true;
+
+        const previous = this.status;
+        if (!SYNC_STATUS_TRANSITIONS[previous].includes(status)) {
+            return false;
+        }
+
+        this.status = status;
+
+        if (status === SrvraStateTypes.OFFLINE) {
+            this.stopSyncInterval();
+            this.scheduleReconnect();
+            this.setOnline(false);
+        } else if ([SrvraStateTypes.SYNCED, SrvraStateTypes.PARTIAL_SYNC, SrvraStateTypes.ERROR].includes(status)) {
+            // The server answered, so connectivity is confirmed
+            clearTimeout(this.reconnectTimer);
+            this.setOnline(true);
+            if (!this.syncInterval) {
+                this.startSyncInterval();
+            }
+        }
+
+        this.eventBus.publish('status-change', {
+            status,
+            previous,
+            pending: this.syncQueue.size,
+            timestamp: Date.now()
+        });
+
+        return true;
+    }
+
+    setOnline(online) {
+        if (this.online === online) return;
+        this.online = online;
+
+        this.eventBus.publish('network-status', {
+            online,
+            status: this.status,
+            timestamp: Date.now()
+        });
+    }
+
+    goOffline() {
+        if (this.status === SrvraStateTypes.OFFLINE) return;
+        this.setStatus(SrvraStateTypes.OFFLINE);
+    }
+
+    scheduleReconnect() {
+        if (this.destroyed) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), this.config.reconnectInterval);
+    }
+
+    /**
+     * `connected` means the transport itself reported an open connection, so
+     * no probe request is needed to leave RECONNECTING.
+     */
+    reconnect(options = {}) {
+        if (this.status !== SrvraStateTypes.OFFLINE && this.status !== SrvraStateTypes.RECONNECTING) {
+            return Promise.resolve();
+        }
+
+        if (!options.connected && globalThis.navigator && globalThis.navigator.onLine === false) {
+            this.scheduleReconnect();
+            return Promise.resolve();
+        }
+
+        // Catch up on everything queued while offline
+        if (this.status === SrvraStateTypes.OFFLINE) {
+            this.setStatus(SrvraStateTypes.RECONNECTING);
+        }
+        return this.sync({ connected: options.connected });
+    }
+
+    /**
+     * Leaves RECONNECTING only once the server is known to be reachable: the
+     * transport opened, or it answered an empty batch.
+     */
+    async confirmConnection(connected) {
+        if (!connected) {
+            try {
+                await this.decodeResponse(await this.sendToServer([], this.generateBatchId()));
+            } catch (error) {
+                if (this.destroyed) return;
+                this.setStatus(this.isOfflineError(error) ? SrvraStateTypes.OFFLINE : SrvraStateTypes.ERROR);
+                this.handleSyncError(error, { reconnect: true });
+                return;
+            }
+        }
+
+        this.setStatus(SrvraStateTypes.SYNCED);
+    }
+
+    createTransport() {
+        if (this.config.transport) {
+            return this.config.transport;
+        }
+
+        if (this.config.socketUrl) {
+            return new SrvraWebSocketTransport({
+                url: this.config.socketUrl,
+                WebSocket: this.config.WebSocket
+            });
+        }
+
+        if (this.config.endpoint) {
+            return new SrvraHttpTransport({
+                endpoint: this.config.endpoint,
+                headers: this.config.headers
+            });
+        }
+
+        return new SrvraLoopbackTransport();
+    }
+
+    connectTransport() {
+        this.transport.on('remote-change', this.handleRemoteChanges.bind(this));
+
+        if (typeof this.transport.subscribe === 'function') {
+            this.transport.subscribe(this.config.subscriptions || ['*']);
+        }
+
+        this.transport.connect().catch(error => this.handleSyncError(error));
+    }
+
+    /**
+     * Applies changes pushed by the server. With version vectors only truly concurrent
+     * writes become conflicts; without them any unsynced local edit counts as one.
+     */
+    handleRemoteChanges(changes) {
+        const pending = { incoming: {}, vectors: {}, fieldTimestamps: {}, deleted: [] };
+        const { incoming, vectors, fieldTimestamps, deleted } = pending;
+
+        // One bad change must not cost the rest of the push
+        changes.forEach(received => {
+            try {
+                const change = this.expandPatch(received);
+                if (change) {
+                    this.collectRemoteChange(change, pending);
+                }
+            } catch (error) {
+                this.handleSyncError(error, { key: received && received.key, remote: true });
+            }
+        });
+
+        this.stateManager.merge(incoming, { vectors, fieldTimestamps });
+        deleted.forEach(change => {
+            this.stateManager.deleteState(change.key, { source: 'merge', vector: change.vector });
+        });
+
+        Object.entries(incoming).forEach(([key, value]) => {
+            this.publishRemoteChange(key, value);
+        });
+        deleted.forEach(change => this.publishRemoteChange(change.key, undefined));
+    }
+
+    collectRemoteChange(change, { incoming, vectors, fieldTimestamps, deleted }) {
+        if (change.crdt) {
+            this.stateManager.mergeCRDT(change.key, change.crdt);
+            this.publishRemoteChange(change.key, this.stateManager.getState(change.key));
+            return;
+        }
+
+        this.rememberServerValue(change.key, change.version, change.value);
+
+        // Values from older clients are migrated; newer schemas are kept out of state
+        if (!change.deleted) {
+            const upgraded = this.stateManager.upgradeValue(change.key, change.value, change.schemaVersion, 'remote');
+            if (upgraded.quarantined || upgraded.rejected) return;
+            change = { ...change, value: upgraded.value };
+        }
+
+        const causality = change.vector
+            ? this.stateManager.compareVector(change.key, change.vector)
+            : null;
+
+        if (causality === SrvraCausalityTypes.OLDER || causality === SrvraCausalityTypes.EQUAL) {
+            return;
+        }
+
+        const concurrent = causality
+            ? causality === SrvraCausalityTypes.CONCURRENT
+            : this.syncQueue.has(change.key);
+
+        if (concurrent) {
+            const localUpdate = this.getLastSyncState(change.key);
+            this.eventBus.publish('conflict', {
+                key: change.key,
+                serverValue: change.value,
+                clientValue: this.stateManager.getState(change.key),
+                serverTimestamp: change.timestamp,
+                clientTimestamp: localUpdate ? localUpdate.timestamp : undefined,
+                serverVector: change.vector,
+                serverFieldTimestamps: change.fieldTimestamps,
+                version: change.version
+            });
+            return;
+        }
+
+        if (change.deleted) {
+            deleted.push(change);
+            return;
+        }
+
+        incoming[change.key] = change.value;
+        if (change.vector) {
+            vectors[change.key] = change.vector;
+        }
+        if (change.fieldTimestamps) {
+            fieldTimestamps[change.key] = change.fieldTimestamps;
+        }
+    }
+
+    publishRemoteChange(key, value) {
+        this.eventBus.publish('data-change', {
+            key,
+            value,
+            source: 'remote',
+            timestamp: Date.now()
+        });
+    }
+
     setupEventListeners() {
         this.eventBus.subscribe('data-change', this.handleDataChange.bind(this));
         this.eventBus.subscribe('sync-complete', this.handleSyncComplete.bind(this));
@@ -72,6 +543,11 @@ class SrvraDataSync {
         }, this.config.syncInterval);
     }
 
+    stopSyncInterval() {
+        clearInterval(this.syncInterval);
+        this.syncInterval = null;
+    }
+
 	handleSyncComplete(data) {
 	    this.lastSyncTimestamp = data.timestamp;
 	    
@@ -82,11 +558,6 @@ class SrvraDataSync {
 	        conflictsResolved: data.conflicts.length
 	    };
 
-	    // Clear processed items from sync queue
-	    this.syncQueue = this.syncQueue.filter(item => 
-	        !data.changes.some(change => change.key === item.key)
-	    );
-
 	    // Update state metadata
 	    this.stateManager.setMetadata('lastSync', {
 	        timestamp: data.timestamp,
@@ -108,60 +579,192 @@ class SrvraDataSync {
 	    });
 
 	    // Reset sync flags
-	    this.isSyncing = false;
 	    this.syncAttempts = 0;
 	}
 
 
     async sync(options = {}) {
-        if (this.isSyncing) return;
-        this.isSyncing = true;
+        await this.ready;
+        if (this.destroyed) return;
+
+        // Priority flushes run in their own lane so they never wait behind a bulk sync
+        const lane = options.priority ? 'isFlushing' : 'isSyncing';
+
+        if (options.priority && this.status === SrvraStateTypes.OFFLINE) return;
+        if (this[lane]) {
+            if (options.priority) {
+                this.requestFlush(options.priority);
+            }
+            return;
+        }
+        this[lane] = true;
+
+        const watermark = this.syncQueue.sequence;
+        let claimed = [];
 
         try {
-            const changes = this.collectChanges();
+            const changes = this.collectChanges(options.priority);
+
+            // Until acknowledged, these keys belong to this lane; the other one skips them
+            claimed = changes.map(change => change.key);
+            claimed.forEach(key => this.sendingKeys.add(key));
+
             if (changes.length === 0) {
+                if (this.status === SrvraStateTypes.RECONNECTING) {
+                    await this.confirmConnection(options.connected);
+                }
                 return;
             }
 
+            if (this.status === SrvraStateTypes.OFFLINE) {
+                this.setStatus(SrvraStateTypes.RECONNECTING);
+            }
+            this.setStatus(SrvraStateTypes.SYNCING);
+
             const batches = this.createBatches(changes);
             const results = await this.processBatches(batches);
-            
+            if (this.destroyed) return;
+
+            // Dead-lettered changes leave the queue so they are not retried forever,
+            // but the server never took them, so their keys stay dirty
+            const settled = [...results.acknowledged, ...results.deadLettered];
+            this.syncQueue.acknowledge(settled.map(change => change.key), watermark);
+            results.acknowledged.forEach(change => this.stateManager.acknowledge(change.key, change.version));
             this.handleSyncResults(results);
             this.lastSyncTimestamp = Date.now();
             
             this.eventBus.publish('sync-complete', {
                 timestamp: this.lastSyncTimestamp,
                 changes: changes.length,
+                keys: changes.map(change => change.key),
                 conflicts: results.conflicts
             });
 
         } catch (error) {
+            if (this.destroyed) return;
+            this.setStatus(this.isOfflineError(error) ? SrvraStateTypes.OFFLINE : SrvraStateTypes.ERROR);
             this.handleSyncError(error);
         } finally {
-            this.isSyncing = false;
+            this[lane] = false;
+            this.releaseKeys(claimed, watermark);
+
+            if (options.priority && this.flushRequested) {
+                const priority = this.flushRequested;
+                this.flushRequested = null;
+                this.sync({ priority });
+            }
         }
     }
 
-    collectChanges() {
-        const changes = [];
-        for (const [key, value] of this.stateManager.state) {
-            if (this.hasChanged(key, value)) {
-                changes.push({
-                    key,
-                    value,
-                    version: this.stateManager.version,
-                    timestamp: Date.now()
-                });
+    // Keys edited again while they were being sent may have been skipped by a flush
+    releaseKeys(keys, watermark) {
+        keys.forEach(key => {
+            this.sendingKeys.delete(key);
+
+            const entry = this.syncQueue.entries.get(key);
+            if (entry && entry.sequence > watermark && !this.destroyed) {
+                this.schedulePriorityFlush(entry.priority);
             }
+        });
+    }
+
+    requestFlush(priority) {
+        if (!this.flushRequested || this.getPriorityRank(priority) > this.getPriorityRank(this.flushRequested)) {
+            this.flushRequested = priority;
         }
-        return changes;
     }
 
+    /**
+     * Collects queued changes ordered by priority. A priority flush only takes changes
+     * at or above the given priority; a full sync also picks up dirty keys not queued.
+     * Keys the other lane is still sending are skipped, so no change goes out twice.
+     */
+    collectChanges(priority) {
+        const maxRank = priority ? this.getPriorityRank(priority) : Infinity;
+
+        // Queued edits go first, in the order they were made
+        // Keys waiting for manual resolution or still in flight are held back, with the rest of their transaction
+        const entries = this.syncQueue.list();
+        const isHeld = key => this.stateManager.isConflicted(key) || this.sendingKeys.has(key);
+        const heldTransactions = new Set(entries
+            .filter(entry => entry.transaction && isHeld(entry.key))
+            .map(entry => entry.transaction));
+        // A flush that takes one member of a transaction takes all of them
+        const isUrgent = entry => this.getPriorityRank(entry.priority) <= maxRank;
+        const urgentTransactions = new Set(entries
+            .filter(entry => entry.transaction && isUrgent(entry))
+            .map(entry => entry.transaction));
+        const changes = entries
+            .filter(entry => isUrgent(entry) || urgentTransactions.has(entry.transaction))
+            .filter(entry => !isHeld(entry.key) && !heldTransactions.has(entry.transaction))
+            .map(({ sequence, queuedAt, ...change }) => change);
+
+        if (!priority) {
+            for (const key of this.stateManager.getDirtyKeys()) {
+                const lastUpdate = this.getLastSyncState(key);
+                const deleted = Boolean(lastUpdate && lastUpdate.deleted);
+                if (!this.syncQueue.has(key) && (deleted || this.stateManager.state.has(key))
+                    && !isHeld(key) && !this.isDeadLettered(key)) {
+                    changes.push(this.createStateChange(key));
+                }
+            }
+        }
+
+        // Array sort is stable, so queue order is kept within a priority
+        return changes.sort((a, b) => this.getPriorityRank(a.priority) - this.getPriorityRank(b.priority));
+    }
+
+    // The current state of a key as a change, for keys with nothing queued
+    createStateChange(key) {
+        const lastUpdate = this.getLastSyncState(key);
+        return {
+            key,
+            value: this.stateManager.getState(key),
+            version: this.stateManager.getKeyVersion(key),
+            vector: this.stateManager.getVector(key),
+            crdt: this.stateManager.getCRDTState(key),
+            fieldTimestamps: this.stateManager.getFieldTimestamps(key),
+            schemaVersion: this.stateManager.getState(key, { withMetadata: true }).schemaVersion,
+            deleted: lastUpdate && lastUpdate.deleted ? true : undefined,
+            nodeId: this.stateManager.nodeId,
+            timestamp: lastUpdate ? lastUpdate.timestamp : Date.now()
+        };
+    }
+
+    /**
+     * Changes from one transaction always travel in the same batch, even if
+     * that batch ends up larger than batchSize.
+     */
     createBatches(changes) {
+        const units = [];
+        const transactions = new Map();
+
+        changes.forEach(change => {
+            if (change.transaction && transactions.has(change.transaction)) {
+                transactions.get(change.transaction).push(change);
+                return;
+            }
+
+            const unit = [change];
+            if (change.transaction) {
+                transactions.set(change.transaction, unit);
+            }
+            units.push(unit);
+        });
+
         const batches = [];
-        for (let i = 0; i < changes.length; i += this.config.batchSize) {
-            batches.push(changes.slice(i, i + this.config.batchSize));
+        let batch = [];
+        units.forEach(unit => {
+            if (batch.length > 0 && batch.length + unit.length > this.config.batchSize) {
+                batches.push(batch);
+                batch = [];
+            }
+            batch.push(...unit);
+        });
+        if (batch.length > 0) {
+            batches.push(batch);
         }
+
         return batches;
     }
 
@@ -169,52 +772,337 @@ class SrvraDataSync {
         const results = {
             success: [],
             conflicts: [],
-            errors: []
+            errors: [],
+            acknowledged: [],
+            deadLettered: []
         };
 
-        for (const batch of batches) {
-            try {
-                const result = await this.sendBatch(batch);
-                const resolvedConflicts = this.handleBatchConflicts(result.conflicts);
-                
-                results.success.push(...result.success);
-                results.conflicts.push(...resolvedConflicts);
-                results.errors.push(...result.errors);
-            } catch (error) {
-                results.errors.push(error);
+        const limit = Math.max(1, this.config.maxConcurrentBatches);
+        const inFlight = new Set();
+        // Shared across syncs so a priority flush also waits for in-flight batches on its keys
+        const keyOwners = this.keyOwners;
+        const progress = { total: batches.length, completed: 0, offline: false };
+
+        for (const [index, batch] of batches.entries()) {
+            while (inFlight.size >= limit) {
+                await Promise.race(inFlight);
             }
+            if (progress.offline) break;
+
+            // A batch waits for earlier in-flight batches that touch the same keys
+            const dependencies = new Set(batch
+                .map(change => keyOwners.get(change.key))
+                .filter(Boolean));
+
+            const task = Promise.all(dependencies)
+                .then(() => this.processBatch(batch, index, results, progress))
+                .finally(() => {
+                    inFlight.delete(task);
+                    batch.forEach(change => {
+                        if (keyOwners.get(change.key) === task) {
+                            keyOwners.delete(change.key);
+                        }
+                    });
+                });
+
+            batch.forEach(change => keyOwners.set(change.key, task));
+            inFlight.add(task);
         }
 
+        await Promise.all(inFlight);
         return results;
     }
 
+    async processBatch(batch, index, results, progress) {
+        const batchId = this.generateBatchId();
+
+        // Another batch lost the connection while this one was waiting
+        if (progress.offline) return;
+
+        let succeeded = false;
+
+        try {
+            const result = await this.sendBatch(batch, batchId);
+
+            // The server no longer has the base of these patches; they are resent in full
+            const deltaRejected = result.conflicts.filter(conflict => conflict.deltaRejected).map(conflict => conflict.key);
+            deltaRejected.forEach(key => this.serverValues.delete(key));
+
+            // Changes dropped with an aborted transaction stay queued and are sent again
+            const aborted = result.conflicts.filter(conflict => conflict.transactionAborted).map(conflict => conflict.key);
+
+            // So do changes the server reported as errors; they remain dirty until accepted
+            const failed = result.errors
+                .filter(error => error && error.key !== undefined)
+                .map(error => error.key);
+            const rejected = new Set([...deltaRejected, ...aborted, ...failed]);
+
+            const resolvedConflicts = await this.handleBatchConflicts(
+                result.conflicts.filter(conflict => !conflict.deltaRejected && !conflict.transactionAborted)
+            );
+            const accepted = batch.filter(change => !rejected.has(change.key));
+            this.rememberAcceptedValues(accepted, result.success);
+
+            results.acknowledged.push(...accepted);
+            results.success.push(...result.success);
+            results.conflicts.push(...resolvedConflicts);
+            results.errors.push(...result.errors);
+            succeeded = true;
+
+            if (result.errors.length > 0) {
+                this.handleSyncError(result.errors[0], { batchId, errors: result.errors });
+            }
+        } catch (error) {
+            results.errors.push(error);
+
+            // Changes stay queued and are replayed once the connection is back
+            if (this.isOfflineError(error)) {
+                progress.offline = true;
+                this.handleSyncError(error, { batchId, attempts: error.attempts, retryable: true });
+            } else {
+                this.addDeadLetter(batchId, batch, error);
+                results.deadLettered.push(...batch);
+            }
+        }
+
+        progress.completed++;
+        this.eventBus.publish('batch-complete', {
+            batchId,
+            index,
+            size: batch.length,
+            success: succeeded,
+            completed: progress.completed,
+            total: progress.total,
+            timestamp: Date.now()
+        });
+    }
+
 
 
-    async sendBatch(batch) {
-        const batchId = this.generateBatchId();
+    async sendBatch(batch, batchId = this.generateBatchId()) {
         this.pendingSync.set(batchId, batch);
 
         try {
-            const response = await this.sendToServer(batch);
-            return this.processBatchResponse(response);
+            return await this.sendWithRetry(batch, batchId);
         } finally {
             this.pendingSync.delete(batchId);
         }
     }
 
+    async sendWithRetry(batch, batchId) {
+        let attempt = 0;
+
+        while (true) {
+            attempt++;
+
+            try {
+                const response = await this.sendToServer(batch, batchId);
+                return this.processBatchResponse(await this.decodeResponse(response));
+            } catch (error) {
+                error.attempts = attempt;
+
+                if (this.destroyed || !this.isRetryableError(error) || attempt > this.config.retryAttempts) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt, error);
+                this.handleSyncError(error, { batchId, attempt, retryable: true, retryIn: delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async sendToServer(batch, batchId) {
+        const envelope = await this.encodeEnvelope({
+            batchId,
+            changes: this.config.enableDeltaUpdates ? batch.map(change => this.toDeltaChange(change)) : batch,
+            timestamp: Date.now()
+        });
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        let timer;
+
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Sync request timed out after ${this.config.networkTimeout}ms`);
+                error.code = 'ETIMEDOUT';
+                if (controller) controller.abort(error);
+                reject(error);
+            }, this.config.networkTimeout);
+        });
+
+        const request = this.transport.send(envelope, {
+            signal: controller ? controller.signal : undefined
+        });
+
+        return Promise.race([request, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Replaces `changes` with a compressed `payload` and sets `encoding` when the
+     * serialized changes exceed compressionThreshold and compression makes them smaller.
+     */
+    async encodeEnvelope(envelope) {
+        const body = JSON.stringify(envelope.changes);
+        const size = this.compressor.byteLength(body);
+        const stats = this.compressionStats;
+
+        if (!this.config.compressionThreshold || size <= this.config.compressionThreshold) {
+            stats.uncompressedBatches++;
+            return envelope;
+        }
+
+        let payload;
+        try {
+            payload = await this.compressor.compress(body);
+        } catch (error) {
+            stats.uncompressedBatches++;
+            return envelope;
+        }
+
+        if (payload.length >= size) {
+            stats.uncompressedBatches++;
+            return envelope;
+        }
+
+        stats.compressedBatches++;
+        stats.originalBytes += size;
+        stats.compressedBytes += payload.length;
+        stats.bytesSaved += size - payload.length;
+
+        const { changes, ...rest } = envelope;
+        return {
+            ...rest,
+            encoding: this.compressor.config.encoding,
+            payload
+        };
+    }
+
+    async decodeResponse(response) {
+        if (response && response.encoding && typeof response.payload === 'string') {
+            return JSON.parse(await this.compressor.decompress(response.payload, response.encoding));
+        }
+        return response;
+    }
+
+    getCompressionStatistics() {
+        const stats = this.compressionStats;
+        return {
+            ...stats,
+            ratio: stats.originalBytes ? stats.compressedBytes / stats.originalBytes : 1
+        };
+    }
+
+    isRetryableError(error) {
+        if (typeof error.retryable === 'boolean') return error.retryable;
+        if (this.isOfflineError(error)) return true;
+        return [408, 425, 429].includes(error.status) || error.status >= 500;
+    }
+
+    getRetryDelay(attempt, error) {
+        if (error.retryAfter) {
+            return Math.min(error.retryAfter, this.config.maxRetryDelay);
+        }
+
+        // Exponential backoff with equal jitter
+        const backoff = Math.min(
+            this.config.retryDelay * Math.pow(2, attempt - 1),
+            this.config.maxRetryDelay
+        );
+        return backoff / 2 + Math.random() * (backoff / 2);
+    }
+
+    addDeadLetter(batchId, batch, error) {
+        const deadLetter = {
+            batchId,
+            changes: batch,
+            error,
+            attempts: error.attempts,
+            retryable: this.isRetryableError(error),
+            timestamp: Date.now()
+        };
+
+        this.deadLetters.push(deadLetter);
+        if (this.deadLetters.length > this.config.maxDeadLetters) {
+            this.deadLetters.shift();
+        }
+
+        this.handleSyncError(error, {
+            batchId,
+            attempts: error.attempts,
+            retryable: deadLetter.retryable,
+            deadLettered: true
+        });
+    }
+
+    getDeadLetters() {
+        return [...this.deadLetters];
+    }
+
+    isDeadLettered(key) {
+        return this.deadLetters.some(deadLetter => deadLetter.changes.some(change => change.key === key));
+    }
+
+    retryDeadLetters() {
+        const deadLetters = this.deadLetters;
+        this.deadLetters = [];
+
+        deadLetters.forEach(deadLetter => {
+            deadLetter.changes.forEach(change => this.enqueueChange(change));
+        });
+
+        return this.sync();
+    }
+
+    clearDeadLetters() {
+        this.deadLetters = [];
+    }
+
+    rememberAcceptedValues(changes, success) {
+        const versions = new Map(success.map(item => [item.key, item.version]));
+        changes.forEach(change => {
+            if (versions.has(change.key) && !change.crdt) {
+                this.rememberServerValue(change.key, versions.get(change.key), change.value);
+            }
+        });
+    }
+
+    processBatchResponse(response = {}) {
+        return {
+            success: Array.isArray(response.success) ? response.success : [],
+            conflicts: Array.isArray(response.conflicts) ? response.conflicts : [],
+            errors: Array.isArray(response.errors) ? response.errors : []
+        };
+    }
+
+    handleSyncResults(results) {
+        this.lastSyncResults = results;
+
+        if (results.errors.some(error => this.isOfflineError(error))) {
+            this.setStatus(SrvraStateTypes.OFFLINE);
+        } else if (results.errors.length === 0) {
+            this.setStatus(SrvraStateTypes.SYNCED);
+        } else if (results.acknowledged.length > 0) {
+            this.setStatus(SrvraStateTypes.PARTIAL_SYNC);
+        } else {
+            this.setStatus(SrvraStateTypes.ERROR);
+        }
+    }
+
     mergeBatchResults(results, batchResults) {
         results.success.push(...batchResults.success);
         results.conflicts.push(...batchResults.conflicts);
         results.errors.push(...batchResults.errors);
     }
 
-    hasChanged(key, value) {
-        const lastSync = this.getLastSyncState(key);
-        return !lastSync || lastSync.version !== value.version;
+    hasChanged(key) {
+        return this.stateManager.isDirty(key);
     }
 
     handleDataChange(change) {
-        this.syncQueue.push(change);
+        // Remote changes are already applied to state and must not be echoed back
+        if (change.source === 'remote') return;
+
+        this.enqueueChange(change);
         if (this.config.enableDeltaUpdates) {
             this.processDeltaUpdate(change);
         }
@@ -222,102 +1110,164 @@ class SrvraDataSync {
 
     processDeltaUpdate(change) {
         const delta = this.calculateDelta(change);
-        if (delta) {
-            this.applyDelta(delta);
+        if (delta.length > 0) {
+            this.applyDelta(change.key, delta);
         }
     }
 
     calculateDelta(change) {
         const current = this.stateManager.getState(change.key);
-        return this.generateDelta(current, change.value);
+        return this.generateDelta(current, change.value, change.key);
     }
 
-    generateDelta(oldValue, newValue) {
-	    const delta = {
-	        timestamp: Date.now(),
-	        changes: {},
-	        type: this.determineDataType(newValue)
-	    };
+    /**
+     * Deltas are RFC 6902 JSON Patch operations. Arrays under keys listed in
+     * `arrayIdFields` are diffed by item id.
+     */
+    generateDelta(oldValue, newValue, key) {
+        return SrvraJsonPatch.diff(oldValue, newValue, { idField: this.config.arrayIdFields[key] });
+    }
 
-	    switch (delta.type) {
-	        case 'object':
-	            Object.keys({ ...oldValue, ...newValue }).forEach(key => {
-	                if (JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key])) {
-	                    delta.changes[key] = {
-	                        old: oldValue[key],
-	                        new: newValue[key]
-	                    };
-	                }
-	            });
-	            break;
-
-	        case 'array':
-	            delta.changes = {
-	                added: newValue.filter(item => !oldValue.includes(item)),
-	                removed: oldValue.filter(item => !newValue.includes(item)),
-	                modified: newValue.filter((item, index) => 
-	                    oldValue[index] && item !== oldValue[index]
-	                )
-	            };
-	            break;
-
-	        default:
-	            delta.changes = {
-	                old: oldValue,
-	                new: newValue
-	            };
-	    }
+    applyDelta(key, delta) {
+        this.stateManager.applyPatch(key, delta);
 
-	    return delta;
-	}
+        this.eventBus.publish('delta-applied', {
+            key,
+            delta,
+            timestamp: Date.now()
+        });
 
-	applyDelta(delta) {
-	    const currentValue = this.stateManager.getState(delta.key);
-	    let updatedValue;
-
-	    switch (delta.type) {
-	        case 'object':
-	            updatedValue = { ...currentValue };
-	            Object.entries(delta.changes).forEach(([key, change]) => {
-	                updatedValue[key] = change.new;
-	            });
-	            break;
-
-	        case 'array':
-	            updatedValue = [...currentValue]
-	                .filter(item => !delta.changes.removed.includes(item))
-	                .concat(delta.changes.added);
-	            delta.changes.modified.forEach((item, index) => {
-	                const currentIndex = updatedValue.findIndex(i => i === currentValue[index]);
-	                if (currentIndex !== -1) {
-	                    updatedValue[currentIndex] = item;
-	                }
-	            });
-	            break;
-
-	        default:
-	            updatedValue = delta.changes.new;
-	    }
+        return this.stateManager.getState(key);
+    }
 
-	    this.stateManager.setState(delta.key, updatedValue);
-	    return updatedValue;
-	}
+    /**
+     * Replaces the value with a patch against the last value the server
+     * confirmed, unless the full value is smaller or holds values JSON Patch
+     * cannot express, such as Dates.
+     */
+    toDeltaChange(change) {
+        const base = this.serverValues.get(change.key);
+        if (!base || change.crdt || change.value === undefined || base.value === undefined) return change;
+        if (!SrvraJsonPatch.isPatchable(base.value) || !SrvraJsonPatch.isPatchable(change.value)) return change;
+
+        const { value, ...rest } = change;
+        const patch = this.generateDelta(base.value, value, change.key);
+        if (JSON.stringify(patch).length >= JSON.stringify(value).length) return change;
+
+        return { ...rest, patch, baseVersion: base.version };
+    }
 
+    rememberServerValue(key, version, value) {
+        if (version === undefined) return;
+        this.serverValues.set(key, { version, value });
+    }
+
+    /**
+     * Rebuilds the full value of a change the server sent as a patch.
+     */
+    expandPatch(change) {
+        if (!change.patch) return change;
+
+        const base = this.serverValues.get(change.key);
+        if (!base || base.version !== change.baseVersion) {
+            this.requestResync(change.key, new Error(`Missing base version ${change.baseVersion} for patch on ${change.key}`));
+            return null;
+        }
+
+        const { patch, baseVersion, ...rest } = change;
+        try {
+            return { ...rest, value: SrvraJsonPatch.apply(base.value, patch) };
+        } catch (error) {
+            this.requestResync(change.key, error);
+            return null;
+        }
+    }
+
+    /**
+     * Recovers from a remote patch that cannot be applied. The local value is
+     * sent in full, so the server answers with its own value as a conflict.
+     */
+    requestResync(key, error) {
+        this.serverValues.delete(key);
+        this.handleSyncError(error, { key, resync: true });
+
+        if (this.stateManager.state.has(key) && !this.syncQueue.has(key)) {
+            this.enqueueChange(this.createStateChange(key));
+        }
+    }
+
+    async handleConflict(conflict) {
+        // Parked conflicts and low-confidence warnings are published for the app only
+        if (conflict.conflictId || conflict.warning) return undefined;
 
-    handleConflict(conflict) {
-        const resolution = this.conflictResolver.resolveConflict({
+        // CRDT keys converge by merging and never reach the resolver
+        if (conflict.serverCrdt && this.stateManager.isCRDT(conflict.key)) {
+            return this.applyCRDTResolution(conflict);
+        }
+
+        // Server values from an older schema are migrated; newer ones are kept out of state
+        const upgraded = this.stateManager.upgradeValue(conflict.key, conflict.serverValue, conflict.serverSchemaVersion, 'remote');
+        if (upgraded.quarantined || upgraded.rejected) return undefined;
+
+        // Deltas are computed against the value as the server stores it
+        this.rememberServerValue(conflict.key, conflict.version, conflict.serverValue);
+        conflict = { ...conflict, serverValue: upgraded.value };
+
+        const causality = this.classifyConflict(conflict);
+
+        // Causally ordered writes are not conflicts: the later one simply wins
+        if (causality && causality !== SrvraCausalityTypes.CONCURRENT) {
+            return this.applyCausalResolution(conflict, causality);
+        }
+
+        const ancestor = this.stateManager.getCommonAncestor(conflict.key, conflict.serverVector);
+        const details = {
             serverValue: conflict.serverValue,
             clientValue: conflict.clientValue,
+            baseValue: ancestor ? ancestor.value : undefined,
+            hasBase: Boolean(ancestor),
             serverTimestamp: conflict.serverTimestamp,
             clientTimestamp: conflict.clientTimestamp,
+            serverFieldTimestamps: conflict.serverFieldTimestamps,
+            clientFieldTimestamps: this.stateManager.getFieldTimestamps(conflict.key),
             dataType: this.determineDataType(conflict.serverValue),
             metadata: {
                 key: conflict.key,
                 version: conflict.version
             }
-        });
+        };
+
+        if (this.requiresManualResolution(conflict.key, details)) {
+            return this.parkConflict(conflict, details);
+        }
+
+        let resolution;
+        try {
+            resolution = await this.conflictResolver.resolveConflict(details);
+        } catch (error) {
+            // Keep the conflict for the app rather than dropping either side
+            this.handleSyncError(error, { key: conflict.key, conflict: true });
+            return this.parkConflict(conflict, details);
+        }
+
+        if (this.destroyed) return undefined;
+
+        if (resolution.lowConfidence) {
+            if (this.conflictResolver.config.lowConfidenceAction === 'escalate') {
+                return this.parkConflict(conflict, details, resolution);
+            }
+
+            this.eventBus.publish('conflict', {
+                warning: true,
+                key: conflict.key,
+                confidence: resolution.confidence,
+                serverValue: conflict.serverValue,
+                clientValue: conflict.clientValue,
+                resolution
+            });
+        }
 
-        this.applyResolution(conflict.key, resolution);
+        this.applyResolution(conflict.key, resolution, conflict.serverVector);
         
         this.eventBus.publish('conflict-resolved', {
             key: conflict.key,
@@ -327,6 +1277,193 @@ class SrvraDataSync {
 
         return resolution;
     }
+
+    requiresManualResolution(key, details) {
+        if (this.config.manualConflictKeys.includes(key)) return true;
+
+        // A configured onManualResolve handler resolves it in the resolver instead
+        return this.conflictResolver.determineStrategy(details) === SrvraConflictTypes.MANUAL_RESOLVE
+            && typeof this.conflictResolver.config.onManualResolve !== 'function';
+    }
+
+    /**
+     * Holds a conflict until `resolveManually` is called. The key is marked as
+     * conflicted and its local edits are not sent meanwhile. A later conflict on
+     * the same key updates the pending entry. With `conflictTimeout` set, the
+     * fallback strategy resolves it when the app does not answer in time.
+     */
+    parkConflict(conflict, details, suggestion) {
+        const existingId = this.stateManager.getConflictId(conflict.key);
+        const existing = existingId && this.pendingConflicts.get(existingId);
+        const conflictId = existing ? existing.id : this.generateConflictId();
+
+        const pending = {
+            id: conflictId,
+            key: conflict.key,
+            ...details,
+            serverVector: conflict.serverVector,
+            suggestion,
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now(),
+            timer: existing ? existing.timer : null
+        };
+
+        if (!pending.timer && this.config.conflictTimeout > 0) {
+            pending.timer = setTimeout(() => this.expireConflict(conflictId), this.config.conflictTimeout);
+        }
+
+        this.pendingConflicts.set(conflictId, pending);
+        this.stateManager.markConflicted(conflict.key, conflictId);
+
+        this.eventBus.publish('conflict', this.describePendingConflict(pending));
+
+        return { pending: true, conflictId };
+    }
+
+    resolveManually(conflictId, value) {
+        const pending = this.pendingConflicts.get(conflictId);
+        if (!pending) {
+            throw new Error(`Unknown conflict: ${conflictId}`);
+        }
+
+        const resolution = {
+            value,
+            source: 'manual',
+            metadata: { strategy: SrvraConflictTypes.MANUAL_RESOLVE }
+        };
+
+        const { id, key, serverVector, suggestion, createdAt, updatedAt, timer, ...details } = pending;
+        this.conflictResolver.trackResolution({
+            timestamp: Date.now(),
+            strategy: SrvraConflictTypes.MANUAL_RESOLVE,
+            result: resolution,
+            originalConflict: details
+        });
+
+        return this.settleConflict(pending, resolution);
+    }
+
+    async expireConflict(conflictId) {
+        const pending = this.pendingConflicts.get(conflictId);
+        if (!pending || this.destroyed) return;
+
+        pending.timer = null;
+
+        const strategy = this.config.conflictFallbackStrategy
+            || (this.conflictResolver.config.defaultStrategy !== SrvraConflictTypes.MANUAL_RESOLVE
+                ? this.conflictResolver.config.defaultStrategy
+                : SrvraConflictTypes.SERVER_WINS);
+
+        const { id, key, serverVector, suggestion, createdAt, updatedAt, timer, ...details } = pending;
+        // Local edits made while the conflict was pending count as the client side
+        let resolution;
+        try {
+            resolution = await this.conflictResolver.resolveConflict({
+                ...details,
+                clientValue: this.stateManager.getState(key),
+                forcedStrategy: strategy
+            });
+        } catch (error) {
+            // The conflict stays pending for resolveManually
+            this.handleSyncError(error, { key, conflictId: id, conflict: true });
+            return;
+        }
+
+        // Resolved manually while the fallback was running
+        if (!this.pendingConflicts.has(id) || this.destroyed) return;
+
+        this.settleConflict(pending, resolution, { timedOut: true });
+    }
+
+    settleConflict(pending, resolution, details = {}) {
+        clearTimeout(pending.timer);
+        this.pendingConflicts.delete(pending.id);
+        this.stateManager.clearConflicted(pending.key);
+
+        this.applyResolution(pending.key, resolution, pending.serverVector);
+
+        this.eventBus.publish('conflict-resolved', {
+            key: pending.key,
+            conflictId: pending.id,
+            resolution,
+            ...details,
+            timestamp: Date.now()
+        });
+
+        return resolution;
+    }
+
+    getPendingConflicts() {
+        return Array.from(this.pendingConflicts.values()).map(pending => this.describePendingConflict(pending));
+    }
+
+    describePendingConflict(pending) {
+        return {
+            conflictId: pending.id,
+            key: pending.key,
+            serverValue: pending.serverValue,
+            clientValue: pending.clientValue,
+            baseValue: pending.baseValue,
+            serverTimestamp: pending.serverTimestamp,
+            clientTimestamp: pending.clientTimestamp,
+            suggestion: pending.suggestion,
+            createdAt: pending.createdAt
+        };
+    }
+
+    applyCRDTResolution(conflict) {
+        this.stateManager.mergeCRDT(conflict.key, conflict.serverCrdt);
+
+        const resolution = {
+            value: this.stateManager.getState(conflict.key),
+            source: 'merged',
+            metadata: { crdt: conflict.serverCrdt.type }
+        };
+
+        this.eventBus.publish('conflict-resolved', {
+            key: conflict.key,
+            resolution,
+            timestamp: Date.now()
+        });
+
+        return resolution;
+    }
+
+    classifyConflict(conflict) {
+        if (!conflict.serverVector) return null;
+
+        const clientVector = conflict.clientVector || this.stateManager.getVector(conflict.key);
+        return SrvraVersionVector.compare(clientVector, conflict.serverVector);
+    }
+
+    applyCausalResolution(conflict, causality) {
+        const serverWins = causality === SrvraCausalityTypes.NEWER;
+        const resolution = {
+            value: serverWins ? conflict.serverValue : conflict.clientValue,
+            source: serverWins ? 'server' : 'client',
+            metadata: { causality }
+        };
+
+        if (serverWins) {
+            this.stateManager.setState(conflict.key, conflict.serverValue, {
+                source: 'server',
+                vector: conflict.serverVector,
+                fieldTimestamps: conflict.serverFieldTimestamps
+            });
+        } else {
+            // The client write already includes the server's; resend it
+            this.applyResolution(conflict.key, resolution, conflict.serverVector);
+        }
+
+        this.eventBus.publish('conflict-resolved', {
+            key: conflict.key,
+            resolution,
+            causality,
+            timestamp: Date.now()
+        });
+
+        return resolution;
+    }
    
     
 
@@ -336,8 +1473,9 @@ class SrvraDataSync {
         return typeof value;
     }
 
-    applyResolution(key, resolution) {
-        this.stateManager.setState(key, resolution.value);
+    applyResolution(key, resolution, vector) {
+        // Merging the server vector makes the resolved value supersede both sides
+        this.stateManager.setState(key, resolution.value, { vector });
         
         if (resolution.metadata) {
             this.stateManager.setMetadata(key, resolution.metadata);
@@ -345,10 +1483,10 @@ class SrvraDataSync {
     }
 
     handleBatchConflicts(conflicts) {
-        return conflicts.map(conflict => ({
+        return Promise.all(conflicts.map(async conflict => ({
             original: conflict,
-            resolution: this.handleConflict(conflict)
-        }));
+            resolution: await this.handleConflict(conflict)
+        })));
     }
 
     getConflictStatistics() {
@@ -359,27 +1497,119 @@ class SrvraDataSync {
         return this.conflictResolver.getResolutionHistory(filter);
     }
 
+    /**
+     * Serializable copy of the state manager, the outbox, pending conflicts,
+     * dead letters and the conflict history.
+     */
+    snapshot() {
+        const pendingConflicts = new Map(Array.from(this.pendingConflicts, ([id, { timer, ...pending }]) => [id, pending]));
+        const deadLetters = this.deadLetters.map(({ error, ...deadLetter }) => ({
+            ...deadLetter,
+            error: { message: error.message, status: error.status, code: error.code }
+        }));
+
+        return {
+            ...SrvraSnapshot.create('data-sync', {
+                outbox: { sequence: this.syncQueue.sequence, entries: this.syncQueue.list() },
+                serverValues: this.serverValues,
+                pendingConflicts,
+                deadLetters,
+                conflictHistory: this.conflictResolver.getResolutionHistory(),
+                lastSyncTimestamp: this.lastSyncTimestamp
+            }),
+            stateManager: this.stateManager.snapshot()
+        };
+    }
+
+    /**
+     * Loads a snapshot taken with snapshot(). Unsent changes stay queued and
+     * pending conflicts keep what is left of their timeout.
+     */
+    restore(snapshot) {
+        const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+        const data = SrvraSnapshot.read(parsed, 'data-sync');
+        const keys = this.stateManager.restore(parsed.stateManager);
+
+        this.syncQueue.entries = new Map(data.outbox.entries.map(entry => [entry.key, entry]));
+        this.syncQueue.sequence = Math.max(this.syncQueue.sequence, data.outbox.sequence);
+        this.syncQueue.persist();
+
+        this.serverValues = data.serverValues;
+        this.lastSyncTimestamp = data.lastSyncTimestamp;
+        this.conflictResolver.conflictHistory = data.conflictHistory;
+        this.deadLetters = data.deadLetters.map(({ error, ...deadLetter }) => ({
+            ...deadLetter,
+            error: Object.assign(new Error(error.message), { status: error.status, code: error.code })
+        }));
+
+        this.pendingConflicts.forEach(pending => clearTimeout(pending.timer));
+        this.pendingConflicts = new Map();
+        data.pendingConflicts.forEach((pending, id) => {
+            const remaining = this.config.conflictTimeout - (Date.now() - pending.createdAt);
+            this.pendingConflicts.set(id, {
+                ...pending,
+                timer: this.config.conflictTimeout > 0
+                    ? setTimeout(() => this.expireConflict(id), Math.max(0, remaining))
+                    : null
+            });
+        });
+
+        this.eventBus.publish('state-restored', {
+            keys,
+            queued: this.syncQueue.size,
+            pendingConflicts: this.pendingConflicts.size,
+            timestamp: Date.now()
+        });
+
+        return keys;
+    }
+
     destroy() {
-        clearInterval(this.syncInterval);
+        this.destroyed = true;
+        this.stopSyncInterval();
+        clearTimeout(this.reconnectTimer);
+        this.flushTimers.forEach(timer => clearTimeout(timer));
+        this.flushTimers.clear();
+        this.networkListeners.forEach(([eventName, listener]) => {
+            globalThis.removeEventListener(eventName, listener);
+        });
+        this.networkListeners = [];
+        this.transport.destroy();
         this.eventBus.destroy();
         this.stateManager.destroy();
         this.conflictResolver.destroy();
-        this.syncQueue = [];
+        this.syncQueue.destroy();
+        this.pendingConflicts.forEach(pending => clearTimeout(pending.timer));
+        this.pendingConflicts.clear();
+        this.serverValues.clear();
         this.pendingSync.clear();
+        this.deadLetters = [];
     }
 
 
-    handleSyncError(error) {
+    handleSyncError(error, details = {}) {
         this.eventBus.publish('sync-error', {
             error,
+            ...details,
             timestamp: Date.now()
         });
     }
 
+    isOfflineError(error) {
+        // Only failures to reach the server; anything else is a bug or a bad payload
+        return error instanceof Error
+            && error.retryable !== false
+            && (error.network === true || error.code === 'ETIMEDOUT' || error.name === 'AbortError');
+    }
+
     getLastSyncState(key) {
         return this.stateManager.getLastUpdate(key);
     }
 
+    generateConflictId() {
+        return `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     generateBatchId() {
         return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -0,0 +1,166 @@
+// /srvra-sync/src/sync/SrvraOutbox.js
+
+/**
+ * SRVRA Outbox
+ * Durable queue of local changes waiting to be acknowledged by the server
+ *
+ * Features:
+ * - Storage-backed persistence
+ * - Ordered replay after reload
+ * - Per-key deduplication
+ * - Sequence-based acknowledgement
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+import { SrvraMemoryStorage } from '/js/srvra-sync/src/storage/SrvraStorage.js';
+
+class SrvraOutbox {
+    constructor(config = {}) {
+        this.config = {
+            storage: config.storage || new SrvraMemoryStorage(),
+            storageKey: config.storageKey || 'srvra-outbox',
+            ...config
+        };
+
+        // Map keeps insertion order, so re-queuing a key moves it to the end
+        this.entries = new Map();
+        this.sequence = 0;
+        this.loaded = false;
+        this.writing = Promise.resolve();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    async load() {
+        const stored = await this.config.storage.get(this.config.storageKey);
+        const restored = new Map();
+
+        // Entries are persisted in queue order; sequences only guard acknowledgement
+        (stored ? stored.entries : [])
+            .forEach(entry => restored.set(entry.key, entry));
+
+        this.sequence = Math.max(this.sequence, stored ? stored.sequence : 0);
+
+        // Changes queued while loading are newer than anything persisted
+        this.entries.forEach((entry, key) => {
+            restored.delete(key);
+            restored.set(key, entry);
+        });
+
+        this.entries = restored;
+        this.loaded = true;
+        await this.persist();
+
+        return this.list();
+    }
+
+    enqueue(change) {
+        const entry = {
+            ...change,
+            sequence: ++this.sequence,
+            queuedAt: Date.now()
+        };
+
+        this.entries.delete(change.key);
+        this.entries.set(change.key, entry);
+        this.persist();
+
+        return entry;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    // Changes an entry in place, keeping its position and sequence
+    update(key, fields) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const updated = { ...entry, ...fields };
+        this.entries.set(key, updated);
+        this.persist();
+
+        return updated;
+    }
+
+    remove(key) {
+        const removed = this.entries.delete(key);
+        if (removed) {
+            this.persist();
+        }
+        return removed;
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * Removes entries for the given keys that were queued at or before `watermark`,
+     * so edits made while a batch was in flight stay queued.
+     */
+    acknowledge(keys, watermark = this.sequence) {
+        let removed = 0;
+
+        keys.forEach(key => {
+            const entry = this.entries.get(key);
+            if (entry && entry.sequence <= watermark) {
+                this.entries.delete(key);
+                removed++;
+            }
+        });
+
+        if (removed > 0) {
+            this.persist();
+        }
+
+        return removed;
+    }
+
+    persist() {
+        // Writing before load() would overwrite the persisted queue
+        if (!this.loaded) return this.writing;
+
+        const snapshot = {
+            sequence: this.sequence,
+            entries: this.list()
+        };
+
+        this.writing = this.writing
+            .then(() => this.config.storage.set(this.config.storageKey, snapshot))
+            .catch(error => {
+                if (this.config.onError) {
+                    this.config.onError(error);
+                }
+            });
+
+        return this.writing;
+    }
+
+    clear() {
+        this.entries.clear();
+        return this.persist();
+    }
+
+    destroy() {
+        this.entries.clear();
+        this.loaded = false;
+    }
+}
+
+export { SrvraOutbox };
@@ -0,0 +1,591 @@
+// /srvra-sync/src/sync/SrvraTransport.js
+
+/**
+ * SRVRA Transport
+ * Pluggable network layer used by SrvraDataSync to exchange batches with a server
+ *
+ * Features:
+ * - Common transport interface
+ * - HTTP transport built on fetch
+ * - WebSocket transport with server push and reconnect
+ * - In-memory loopback server for testing
+ * - Normalized batch responses
+ *
+ * Copyright (C) [2025] [Srvra]
+ * Author: [Santosh Sinha]
+ * This file is part of [SRVRA Enterprise UI Engine]
+ *
+ * This program is dual-licensed under either:
+ * - GNU Affero General Public License v3.0
+ * - Commercial License
+ *
+ * Contact [signme888@gmail.com] for commercial licensing options
+ * @version 1.0.0
+ */
+
+
+
+import { SrvraCompressor } from '/js/srvra-sync/src/sync/SrvraCompressor.js';
+import { SrvraVersionVector } from '/js/srvra-sync/src/state/SrvraVersionVector.js';
+import { createCRDT } from '/js/srvra-sync/src/state/SrvraCRDT.js';
+import { SrvraJsonPatch } from '/js/srvra-sync/src/state/SrvraJsonPatch.js';
+import { SrvraCausalityTypes } from '/js/srvra-sync/src/types.js';
+
+function networkError(message, cause) {
+    const error = new Error(message, cause === undefined ? undefined : { cause });
+    error.network = true;
+    return error;
+}
+
+/**
+ * Base transport. Implementations receive a batch envelope
+ * `{ batchId, changes, timestamp }` plus `{ signal }` options and resolve with
+ * `{ success, conflicts, errors }`. Errors carrying an HTTP `status` reached the server;
+ * connection failures are flagged with `network: true`.
+ * Large envelopes carry a base64 `payload` with an `encoding` instead of `changes`,
+ * and responses may be encoded the same way.
+ * Transports that can receive server pushes emit `remote-change` with an array of changes.
+ */
+class SrvraTransport {
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.connected = false;
+        this.handlers = new Map();
+    }
+
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+    }
+
+    off(eventName, handler) {
+        if (!this.handlers.has(eventName)) return false;
+        return this.handlers.get(eventName).delete(handler);
+    }
+
+    emit(eventName, data) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Transport handler error: ${eventName}`, error);
+            }
+        });
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    async send(envelope, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+
+    destroy() {
+        this.connected = false;
+        this.handlers.clear();
+    }
+}
+
+class SrvraHttpTransport extends SrvraTransport {
+    constructor(config = {}) {
+        super({
+            endpoint: config.endpoint,
+            method: config.method || 'POST',
+            headers: config.headers || {},
+            ...config
+        });
+    }
+
+    async send(envelope, options = {}) {
+        const fetchFn = this.config.fetch || globalThis.fetch;
+        if (!this.config.endpoint) {
+            throw new Error('SrvraHttpTransport requires an endpoint');
+        }
+        if (!fetchFn) {
+            throw new Error('SrvraHttpTransport requires fetch to be available');
+        }
+
+        let response;
+        try {
+            response = await fetchFn(this.config.endpoint, {
+                method: this.config.method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.config.headers
+                },
+                body: JSON.stringify(envelope),
+                signal: options.signal
+            });
+        } catch (error) {
+            // fetch rejects with a TypeError when the request never got a response
+            if (error instanceof TypeError) {
+                throw networkError(error.message, error);
+            }
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Sync request failed with status ${response.status}`);
+            const retryAfter = Number(response.headers && response.headers.get('Retry-After'));
+            error.status = response.status;
+            if (retryAfter > 0) {
+                error.retryAfter = retryAfter * 1000;
+            }
+            throw error;
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * WebSocket transport. Messages are JSON encoded:
+ * - client sends `{ type: 'batch', ...envelope }` and `{ type: 'subscribe', keys, since }`
+ * - server replies `{ type: 'batch-result', batchId, success, conflicts, errors }`
+ * - server pushes `{ type: 'change', changes: [{ key, value, version, vector, timestamp, deleted }] }`
+ * Works with the browser WebSocket or any `ws`-style constructor passed as `config.WebSocket`.
+ */
+class SrvraWebSocketTransport extends SrvraTransport {
+    constructor(config = {}) {
+        super({
+            url: config.url,
+            reconnectInterval: config.reconnectInterval || 1000,
+            maxReconnectInterval: config.maxReconnectInterval || 30000,
+            maxReconnectAttempts: config.maxReconnectAttempts ?? 10,
+            ...config
+        });
+
+        this.socket = null;
+        this.pendingRequests = new Map();
+        this.subscriptions = new Set();
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.lastReceivedTimestamp = null;
+        this.manualClose = false;
+        this.connecting = null;
+    }
+
+    connect() {
+        if (this.connected) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        const SocketClass = this.config.WebSocket || globalThis.WebSocket;
+        if (!this.config.url) {
+            return Promise.reject(new Error('SrvraWebSocketTransport requires a url'));
+        }
+        if (!SocketClass) {
+            return Promise.reject(new Error('SrvraWebSocketTransport requires WebSocket to be available'));
+        }
+
+        this.manualClose = false;
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = new SocketClass(this.config.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.connected = true;
+                this.connecting = null;
+                this.reconnectAttempts = 0;
+                this.resubscribe();
+                this.emit('open', { url: this.config.url });
+                resolve();
+            };
+
+            socket.onmessage = (event) => this.handleMessage(event.data);
+
+            socket.onerror = (error) => {
+                this.emit('error', error);
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(networkError(error instanceof Error ? error.message : 'WebSocket connection failed', error));
+                }
+            };
+
+            socket.onclose = () => this.handleClose(socket);
+        });
+
+        return this.connecting;
+    }
+
+    async disconnect() {
+        this.manualClose = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+        }
+        this.connected = false;
+    }
+
+    async send(envelope, options = {}) {
+        const { signal } = options;
+        await this.connect();
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            // An aborted request stops waiting; a late batch-result finds no entry and is ignored
+            const onAbort = () => {
+                this.pendingRequests.delete(envelope.batchId);
+                reject(signal.reason);
+            };
+            const settle = callback => value => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            this.pendingRequests.set(envelope.batchId, { resolve: settle(resolve), reject: settle(reject) });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                this.socket.send(JSON.stringify({ type: 'batch', ...envelope }));
+            } catch (error) {
+                this.pendingRequests.delete(envelope.batchId);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reject(networkError(error.message, error));
+            }
+        });
+    }
+
+    subscribe(keys = ['*']) {
+        keys.forEach(key => this.subscriptions.add(key));
+        if (this.connected) {
+            this.sendSubscription(keys);
+        }
+    }
+
+    unsubscribe(keys) {
+        keys.forEach(key => this.subscriptions.delete(key));
+        if (this.connected) {
+            this.socket.send(JSON.stringify({ type: 'unsubscribe', keys }));
+        }
+    }
+
+    resubscribe() {
+        if (this.subscriptions.size > 0) {
+            this.sendSubscription(Array.from(this.subscriptions));
+        }
+    }
+
+    sendSubscription(keys) {
+        this.socket.send(JSON.stringify({
+            type: 'subscribe',
+            keys,
+            since: this.lastReceivedTimestamp
+        }));
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = typeof raw === 'string' ? JSON.parse(raw) : JSON.parse(raw.toString());
+        } catch (error) {
+            this.emit('error', error);
+            return;
+        }
+
+        switch (message.type) {
+            case 'batch-result': {
+                const request = this.pendingRequests.get(message.batchId);
+                if (request) {
+                    this.pendingRequests.delete(message.batchId);
+                    request.resolve(message);
+                }
+                break;
+            }
+
+            case 'change':
+                this.lastReceivedTimestamp = message.timestamp || Date.now();
+                this.emit('remote-change', message.changes || []);
+                break;
+
+            default:
+                this.emit('message', message);
+        }
+    }
+
+    handleClose(socket) {
+        if (socket !== this.socket) return;
+
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.connecting = null;
+        this.rejectPending(networkError('WebSocket connection closed'));
+
+        if (wasConnected) {
+            this.emit('close', { url: this.config.url });
+        }
+
+        if (!this.manualClose) {
+            this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.config.maxReconnectAttempts) {
+            this.emit('reconnect-failed', { attempts: this.reconnectAttempts });
+            return;
+        }
+
+        const delay = Math.min(
+            this.config.reconnectInterval * Math.pow(2, this.reconnectAttempts),
+            this.config.maxReconnectInterval
+        );
+        this.reconnectAttempts++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+        // A failed attempt closes the socket, which schedules the next one
+        this.reconnectTimer = setTimeout(() => {
+            this.connect().catch(() => {});
+        }, delay);
+    }
+
+    rejectPending(error) {
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    destroy() {
+        this.disconnect();
+        this.rejectPending(new Error('Transport destroyed'));
+        this.subscriptions.clear();
+        super.destroy();
+    }
+}
+
+/**
+ * In-memory fake server. Accepts changes unless the server already holds a
+ * newer or concurrent write for the same key, in which case a conflict is reported.
+ * Version vectors decide when both sides carry one, timestamps otherwise.
+ * CRDT changes are merged into the stored state and never conflict.
+ * JSON Patch changes are applied to the stored value when their `baseVersion`
+ * matches; otherwise a `deltaRejected` conflict asks the client for the full value.
+ * Changes with `deleted: true` leave a tombstone record without a value.
+ * Changes sharing a `transaction` id are applied together or not at all; when one
+ * of them conflicts, the others are reported with `transactionAborted`.
+ * A custom `handler(envelope, transport)` can replace the default behaviour; it
+ * always receives decoded `changes`. `requests` keeps the envelopes as sent.
+ */
+class SrvraLoopbackTransport extends SrvraTransport {
+    constructor(config = {}) {
+        super({
+            latency: config.latency || 0,
+            compressResponses: config.compressResponses || false,
+            ...config
+        });
+
+        this.serverState = new Map();
+        this.requests = [];
+        this.compressor = new SrvraCompressor();
+    }
+
+    async send(envelope) {
+        this.requests.push(envelope);
+
+        if (this.config.latency) {
+            await new Promise(resolve => setTimeout(resolve, this.config.latency));
+        }
+
+        const decoded = await this.decodeEnvelope(envelope);
+        const response = this.config.handler
+            ? await this.config.handler(decoded, this)
+            : this.handleBatch(decoded);
+
+        return this.config.compressResponses ? this.encodeResponse(response) : response;
+    }
+
+    async decodeEnvelope(envelope) {
+        if (!envelope.encoding) return envelope;
+
+        const { payload, encoding, ...rest } = envelope;
+        const changes = JSON.parse(await this.compressor.decompress(payload, encoding));
+        return { ...rest, changes };
+    }
+
+    async encodeResponse(response) {
+        return {
+            encoding: this.compressor.config.encoding,
+            payload: await this.compressor.compress(JSON.stringify(response))
+        };
+    }
+
+    handleBatch(envelope) {
+        const response = {
+            success: [],
+            conflicts: [],
+            errors: []
+        };
+
+        this.groupTransactions(envelope.changes).forEach(unit => {
+            const checked = unit.map(received => this.checkChange(received));
+
+            if (checked.some(result => result.conflict)) {
+                checked.forEach(({ change, conflict }) => {
+                    response.conflicts.push(conflict || {
+                        key: change.key,
+                        transaction: change.transaction,
+                        transactionAborted: true
+                    });
+                });
+                return;
+            }
+
+            checked.forEach(({ change }) => {
+                response.success.push({
+                    key: change.key,
+                    version: this.applyChange(change).version
+                });
+            });
+        });
+
+        return response;
+    }
+
+    groupTransactions(changes) {
+        const units = [];
+        const transactions = new Map();
+
+        changes.forEach(change => {
+            if (change.transaction && transactions.has(change.transaction)) {
+                transactions.get(change.transaction).push(change);
+                return;
+            }
+
+            const unit = [change];
+            if (change.transaction) {
+                transactions.set(change.transaction, unit);
+            }
+            units.push(unit);
+        });
+
+        return units;
+    }
+
+    checkChange(received) {
+        const current = this.serverState.get(received.key);
+        const change = this.expandPatch(received, current);
+
+        // A patch against a version the server no longer has
+        if (!change) {
+            return {
+                change: received,
+                conflict: {
+                    key: received.key,
+                    deltaRejected: true,
+                    version: current ? current.version : undefined
+                }
+            };
+        }
+
+        if (!change.crdt && current && this.isConflict(current, change)) {
+            return {
+                change,
+                conflict: {
+                    key: change.key,
+                    serverValue: current.value,
+                    clientValue: change.value,
+                    serverTimestamp: current.timestamp,
+                    clientTimestamp: change.timestamp,
+                    serverVector: current.vector,
+                    clientVector: change.vector,
+                    serverFieldTimestamps: current.fieldTimestamps,
+                    serverSchemaVersion: current.schemaVersion,
+                    version: current.version
+                }
+            };
+        }
+
+        return { change };
+    }
+
+    applyChange(change) {
+        if (change.crdt) {
+            return this.mergeServerCRDT(change, this.serverState.get(change.key));
+        }
+
+        const record = this.setServerValue(change.key, change.value, change.timestamp, change.vector);
+        if (change.deleted) {
+            record.deleted = true;
+        }
+        if (change.fieldTimestamps) {
+            record.fieldTimestamps = change.fieldTimestamps;
+        }
+        if (change.schemaVersion !== undefined) {
+            record.schemaVersion = change.schemaVersion;
+        }
+        return record;
+    }
+
+    expandPatch(change, current) {
+        if (!change.patch) return change;
+        if (!current || current.version !== change.baseVersion) return null;
+
+        try {
+            const { patch, baseVersion, ...rest } = change;
+            return { ...rest, value: SrvraJsonPatch.apply(current.value, patch) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    mergeServerCRDT(change, current) {
+        const crdt = createCRDT(change.crdt.type, 'server', current && current.crdt);
+        crdt.merge(change.crdt);
+
+        const record = this.setServerValue(change.key, crdt.value(), change.timestamp, change.vector);
+        record.crdt = crdt.toJSON();
+        return record;
+    }
+
+    isConflict(current, change) {
+        if (current.vector && change.vector) {
+            const causality = SrvraVersionVector.compare(current.vector, change.vector);
+            return causality === SrvraCausalityTypes.OLDER || causality === SrvraCausalityTypes.CONCURRENT;
+        }
+
+        return current.timestamp > change.timestamp;
+    }
+
+    setServerValue(key, value, timestamp = Date.now(), vector) {
+        const current = this.serverState.get(key);
+        const record = {
+            value,
+            version: current ? current.version + 1 : 1,
+            timestamp,
+            vector: vector ? SrvraVersionVector.merge(current && current.vector, vector) : undefined
+        };
+
+        this.serverState.set(key, record);
+        return record;
+    }
+
+    getServerValue(key) {
+        const record = this.serverState.get(key);
+        return record ? record.value : undefined;
+    }
+
+    destroy() {
+        super.destroy();
+        this.serverState.clear();
+        this.requests = [];
+    }
+}
+
+export {
+    SrvraTransport,
+    SrvraHttpTransport,
+    SrvraWebSocketTransport,
+    SrvraLoopbackTransport
+};
@@ -35,7 +35,12 @@ export const SrvraEventTypes = {
     // Additional sync events
     BATCH_COMPLETE: 'batch-complete',
     DELTA_APPLIED: 'delta-applied',
-    NETWORK_STATUS: 'network-status'
+    NETWORK_STATUS: 'network-status',
+    STATUS_CHANGE: 'status-change',
+    STATE_RESTORED: 'state-restored',
+    REHYDRATE_START: 'rehydrate-start',
+    REHYDRATE_COMPLETE: 'rehydrate-complete',
+    SCHEMA_MISMATCH: 'schema-mismatch'
 };
 
 export const SrvraStateTypes = {
@@ -63,3 +68,23 @@ export const SrvraConflictTypes = {
     TIMESTAMP_BASED: 'timestamp-based',
     SMART_MERGE: 'smart-merge'
 };
+
+export const SrvraCRDTTypes = {
+    // Single values
+    LWW_REGISTER: 'lww-register',
+    PN_COUNTER: 'pn-counter',
+
+    // Collections
+    OR_SET: 'or-set',
+    LWW_MAP: 'lww-map',
+    SEQUENCE: 'sequence',
+    TEXT: 'text'
+};
+
+export const SrvraCausalityTypes = {
+    // Incoming write relative to the local one
+    NEWER: 'newer',
+    OLDER: 'older',
+    EQUAL: 'equal',
+    CONCURRENT: 'concurrent'
+};